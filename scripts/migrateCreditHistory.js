@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const path = require('path');
+const User = require('../src/models/User');
+const CreditTransaction = require('../src/models/CreditTransaction');
+
+// Load env vars
+dotenv.config({ path: path.join(__dirname, '../.env') });
+
+// Moves the embedded User.creditHistory arrays into the CreditTransaction collection.
+// Pass --prune to clear the embedded arrays once they have been copied.
+const prune = process.argv.includes('--prune');
+
+// Legacy source values that aren't in the CreditTransaction enum
+const LEGACY_SOURCES = {
+    gift: 'transfer',
+    gifts: 'transfer',
+    store: 'purchase',
+    shop: 'purchase',
+    daily_reward: 'daily',
+    levelup: 'level_up',
+    badge: 'achievement',
+    signup: 'signup_bonus'
+};
+
+const SOURCES = CreditTransaction.schema.path('source').enumValues;
+const TYPES = CreditTransaction.schema.path('type').enumValues;
+
+// Maps a legacy entry to a valid source (unknown values are dropped, source is optional)
+const normalizeSource = (source) => {
+    if (!source) return undefined;
+    const mapped = LEGACY_SOURCES[source] || source;
+    return SOURCES.includes(mapped) ? mapped : undefined;
+};
+
+const migrate = async () => {
+    try {
+        await mongoose.connect(process.env.MONGODB_URI);
+        console.log('MongoDB Connected');
+
+        // Raw documents: legacy entries may hold values the current schema would reject or cast away
+        const users = await User.collection
+            .find({ 'creditHistory.0': { $exists: true } }, { projection: { username: 1, creditHistory: 1 } })
+            .toArray();
+        console.log(`Found ${users.length} users with credit history to migrate.`);
+
+        let count = 0;
+        for (const user of users) {
+            // Skip users already migrated (re-runs are safe)
+            const existing = await CreditTransaction.countDocuments({ user: user._id, legacyId: { $exists: true } });
+            if (existing) {
+                console.log(`Skipping ${user.username} (already migrated)`);
+            } else {
+                const docs = user.creditHistory.map(entry => {
+                    // Legacy entries stored spends as negative amounts
+                    const direction = (entry.amount || 0) < 0 || entry.type === 'spent' ? 'debit' : 'credit';
+                    const source = normalizeSource(entry.source);
+                    let type = TYPES.includes(entry.type) ? entry.type : (direction === 'debit' ? 'spent' : 'earned');
+                    if (source === 'transfer') type = 'transfer';
+
+                    return {
+                        user: user._id,
+                        amount: Math.abs(entry.amount || 0),
+                        type,
+                        direction,
+                        source,
+                        description: entry.description,
+                        relatedItem: entry.relatedItem,
+                        legacyId: entry._id,
+                        createdAt: entry.timestamp,
+                        updatedAt: entry.timestamp
+                    };
+                });
+
+                await CreditTransaction.insertMany(docs);
+                count += docs.length;
+                console.log(`Migrated: ${user.username} (${docs.length} entries)`);
+            }
+
+            if (prune) {
+                await User.updateOne({ _id: user._id }, { $unset: { creditHistory: 1 } });
+            }
+        }
+
+        console.log(`Migration Complete. Created ${count} credit transactions.`);
+        process.exit();
+    } catch (error) {
+        console.error('Migration Error:', error);
+        process.exit(1);
+    }
+};
+
+migrate();
@@ -1,25 +1,38 @@
 const mongoose = require('mongoose');
 const dotenv = require('dotenv');
 const path = require('path');
-const Frame = require('../src/models/Frame');
 const StoreItem = require('../src/models/StoreItem');
+const UserItem = require('../src/models/UserItem');
 
 // Load env vars
 dotenv.config({ path: path.join(__dirname, '../.env') });
 
+// Retires the legacy Frame model:
+// 1. every document in the old `frames` collection gets a StoreItem (itemType 'frame') with legacyFrameId set
+// 2. every Profile.frame (old Frame ID, StoreItem ID or image URL) is rewritten to a StoreItem reference
+// 3. any legacy User.inventory.frames entries move into inventory.items
+// The Frame model no longer exists, so raw collections are used. Safe to re-run.
+// Required before deploying the StoreItem frames: the API refuses to start while legacy frame values remain.
 const migrate = async () => {
     try {
         await mongoose.connect(process.env.MONGODB_URI);
         console.log('MongoDB Connected');
 
-        const frames = await Frame.find({});
+        const db = mongoose.connection.db;
+
+        // 1. Frames -> StoreItems
+        const frames = await db.collection('frames').find({}).toArray();
         console.log(`Found ${frames.length} frames to migrate.`);
 
         let count = 0;
         for (const frame of frames) {
-            // Check if exists
+            // Check if exists (earlier runs matched by name only)
             const existing = await StoreItem.findOne({ name: frame.name, itemType: 'frame' });
             if (existing) {
+                if (!existing.legacyFrameId) {
+                    existing.legacyFrameId = frame._id;
+                    await existing.save();
+                }
                 console.log(`Skipping ${frame.name} (already exists)`);
                 continue;
             }
@@ -31,7 +44,8 @@ const migrate = async () => {
                 type: frame.type || (frame.isPremium ? 'premium' : 'free'),
                 price: frame.price || 0,
                 itemType: 'frame',
-                isActive: true
+                isActive: frame.isActive !== false,
+                legacyFrameId: frame._id
             });
 
             await newItem.save();
@@ -39,7 +53,72 @@ const migrate = async () => {
             count++;
         }
 
-        console.log(`Migration Complete. Moved ${count} frames.`);
+        console.log(`Moved ${count} frames.`);
+
+        // Lookup tables: StoreItem ID / legacy Frame ID / image URL -> StoreItem ID
+        const frameItems = await StoreItem.find({ itemType: 'frame' }).select('imageUrl legacyFrameId');
+        const byRef = new Map();
+        for (const item of frameItems) {
+            byRef.set(item._id.toString(), item._id);
+            if (item.legacyFrameId) byRef.set(item.legacyFrameId.toString(), item._id);
+            if (item.imageUrl && !byRef.has(item.imageUrl)) byRef.set(item.imageUrl, item._id);
+        }
+
+        // 2. Profile.frame
+        const profiles = await db.collection('profiles')
+            .find({ frame: { $nin: [null, ''] } }, { projection: { frame: 1 } })
+            .toArray();
+        console.log(`Found ${profiles.length} profiles with a frame.`);
+
+        let rewritten = 0;
+        let cleared = 0;
+        for (const profile of profiles) {
+            const ref = profile.frame.toString();
+            const itemId = byRef.get(ref) || null;
+
+            // Already a StoreItem ObjectId
+            if (itemId && profile.frame instanceof mongoose.Types.ObjectId && profile.frame.equals(itemId)) continue;
+
+            await db.collection('profiles').updateOne({ _id: profile._id }, { $set: { frame: itemId } });
+            if (itemId) {
+                rewritten++;
+            } else {
+                cleared++;
+                console.log(`Cleared unknown frame on profile ${profile._id}: ${ref}`);
+            }
+        }
+
+        console.log(`Rewrote ${rewritten} profile frames, cleared ${cleared} unresolvable ones.`);
+
+        // 3. Legacy inventory.frames
+        const users = await db.collection('users')
+            .find({ 'inventory.frames.0': { $exists: true } }, { projection: { 'inventory.frames': 1 } })
+            .toArray();
+        console.log(`Found ${users.length} users with legacy frame inventory.`);
+
+        for (const user of users) {
+            const itemIds = user.inventory.frames
+                .map(id => byRef.get(id.toString()))
+                .filter(Boolean);
+
+            await db.collection('users').updateOne(
+                { _id: user._id },
+                {
+                    $addToSet: { 'inventory.items': { $each: itemIds } },
+                    $unset: { 'inventory.frames': '' }
+                }
+            );
+
+            for (const itemId of itemIds) {
+                await UserItem.updateOne(
+                    { user: user._id, item: itemId },
+                    { $setOnInsert: { source: 'claim', pricePaid: 0, acquiredAt: new Date() } },
+                    { upsert: true }
+                );
+            }
+        }
+
+        console.log('Migration Complete.');
         process.exit();
     } catch (error) {
         console.error('Migration Error:', error);
@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const path = require('path');
+const User = require('../src/models/User');
+const UserBadge = require('../src/models/UserBadge');
+
+// Load env vars
+dotenv.config({ path: path.join(__dirname, '../.env') });
+
+// Backfills UserBadge rows from the legacy User.badges array.
+// The real award time was never recorded, so earnedAt falls back to the user's signup date.
+const migrate = async () => {
+    try {
+        await mongoose.connect(process.env.MONGODB_URI);
+        console.log('MongoDB Connected');
+
+        const users = await User.find({ 'badges.0': { $exists: true } }).select('username badges createdAt');
+        console.log(`Found ${users.length} users with badges to migrate.`);
+
+        let count = 0;
+        for (const user of users) {
+            for (const badgeId of user.badges) {
+                const result = await UserBadge.updateOne(
+                    { user: user._id, badge: badgeId },
+                    { $setOnInsert: { earnedAt: user.createdAt || new Date() } },
+                    { upsert: true }
+                );
+
+                if (result.upsertedCount) count++;
+            }
+            console.log(`Migrated: ${user.username} (${user.badges.length} badges)`);
+        }
+
+        console.log(`Migration Complete. Created ${count} UserBadge records.`);
+        process.exit();
+    } catch (error) {
+        console.error('Migration Error:', error);
+        process.exit(1);
+    }
+};
+
+migrate();
@@ -14,9 +14,26 @@ app.set('trust proxy', 1); // Trust first proxy (Nginx/Netlify/Cloudflare)
 
 
 // Connect to MongoDB
-connectDB().then(() => {
+connectDB().then(async () => {
+  // Profile.frame holds StoreItem IDs: scripts/migrateFrames.js is a required deploy step
+  const { countLegacyFrames } = require('./services/inventoryService');
+  const legacyFrames = await countLegacyFrames();
+  if (legacyFrames > 0) {
+    console.error(`❌ ${legacyFrames} profile(s) still hold legacy frame values. Run \`node scripts/migrateFrames.js\` before starting the API.`);
+    process.exit(1);
+  }
+
   const { initSystemBadges } = require('./services/badgeService');
   initSystemBadges();
+
+  const { startPremiumExpiryJob } = require('./jobs/premiumExpiry');
+  startPremiumExpiryJob();
+
+  const { startWishlistAlertsJob } = require('./jobs/wishlistAlerts');
+  startWishlistAlertsJob();
+
+  const { startMarketplacePayoutsJob } = require('./jobs/marketplacePayouts');
+  startMarketplacePayoutsJob();
 });
 
 // Middleware
@@ -46,22 +63,28 @@ app.use(cors({
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'Idempotency-Key']
 }));
 app.use(express.json());
 app.use(device.capture());
 
 // Routes
+app.use('/api/auth/2fa', require('./routes/twoFactor'));
 app.use('/api/auth', require('./routes/auth'));
 app.use('/api/users', require('./routes/user'));
 app.use('/api/profiles', require('./routes/profile'));
 app.use('/api/admin', require('./routes/admin'));
 app.use('/api/upload', require('./routes/upload'));
 app.use('/api/store', require('./routes/store'));
+app.use('/api/frames', require('./routes/frames'));
 app.use('/api/badges', require('./routes/badge'));
 app.use('/api/discord', require('./routes/discord'));
 app.use('/api/analytics', require('./routes/analytics'));
 app.use('/api/referral', require('./routes/referral'));
+app.use('/api/leaderboards', require('./routes/leaderboard'));
+app.use('/api/marketplace', require('./routes/marketplace'));
+app.use('/api/trades', require('./routes/trade'));
+app.use('/api/notifications', require('./routes/notifications'));
 app.use('/api/config', require('./routes/config'));
 app.use('/api/og', require('./routes/og'));
 
@@ -0,0 +1,32 @@
+const { retryPendingPayouts } = require('../services/marketplaceService');
+
+const INTERVAL_MS = parseInt(process.env.MARKETPLACE_PAYOUTS_INTERVAL_MS) || 10 * 60 * 1000; // 10 minutes
+
+let running = false;
+
+const run = async () => {
+    // Skip if the previous run is still going
+    if (running) return;
+    running = true;
+
+    try {
+        const count = await retryPendingPayouts();
+        if (count > 0) {
+            console.log(`💸 Marketplace payouts job: paid ${count} seller(s)`);
+        }
+    } catch (error) {
+        console.error('Marketplace Payouts Job Error:', error);
+    } finally {
+        running = false;
+    }
+};
+
+/**
+ * Starts the in-process scheduler retrying marketplace payouts that failed at sale time (runs once immediately).
+ */
+const startMarketplacePayoutsJob = () => {
+    run();
+    return setInterval(run, INTERVAL_MS);
+};
+
+module.exports = { startMarketplacePayoutsJob };
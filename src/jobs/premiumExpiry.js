@@ -0,0 +1,32 @@
+const { expireOverduePremium } = require('../services/premiumService');
+
+const INTERVAL_MS = parseInt(process.env.PREMIUM_EXPIRY_INTERVAL_MS) || 15 * 60 * 1000; // 15 minutes
+
+let running = false;
+
+const run = async () => {
+    // Skip if the previous run is still going
+    if (running) return;
+    running = true;
+
+    try {
+        const count = await expireOverduePremium();
+        if (count > 0) {
+            console.log(`⏳ Premium expiry job: expired ${count} subscription(s)`);
+        }
+    } catch (error) {
+        console.error('Premium Expiry Job Error:', error);
+    } finally {
+        running = false;
+    }
+};
+
+/**
+ * Starts the in-process premium expiry scheduler (runs once immediately).
+ */
+const startPremiumExpiryJob = () => {
+    run();
+    return setInterval(run, INTERVAL_MS);
+};
+
+module.exports = { startPremiumExpiryJob };
@@ -0,0 +1,33 @@
+const { notifySales } = require('../services/wishlistService');
+
+const INTERVAL_MS = parseInt(process.env.WISHLIST_ALERTS_INTERVAL_MS) || 5 * 60 * 1000; // 5 minutes
+
+let running = false;
+
+const run = async () => {
+    // Skip if the previous run is still going
+    if (running) return;
+    running = true;
+
+    try {
+        const count = await notifySales();
+        if (count > 0) {
+            console.log(`🔔 Wishlist alerts job: sent ${count} sale alert(s)`);
+        }
+    } catch (error) {
+        console.error('Wishlist Alerts Job Error:', error);
+    } finally {
+        running = false;
+    }
+};
+
+/**
+ * Starts the in-process wishlist sale alerts scheduler (runs once immediately).
+ * Catches sales that were scheduled ahead of time once they start.
+ */
+const startWishlistAlertsJob = () => {
+    run();
+    return setInterval(run, INTERVAL_MS);
+};
+
+module.exports = { startWishlistAlertsJob };
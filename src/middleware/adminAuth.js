@@ -1,4 +1,32 @@
 const { auth } = require('./auth');
+const SystemConfig = require('../models/SystemConfig');
+const { isTwoFactorRequired } = require('../services/twoFactorService');
+
+// Blocks admins without 2FA when a super admin has made it mandatory. Having 2FA on the account isn't
+// enough: the session itself must have passed a 2FA step (older password-only sessions don't count).
+const requireTwoFactor = async (req, res, next) => {
+    try {
+        const config = await SystemConfig.getOrCreate();
+        if (!isTwoFactorRequired(req.user, config)) return next();
+
+        if (!req.user.twoFactor?.enabled) {
+            return res.status(403).json({
+                error: 'Two-factor authentication is required for admin accounts',
+                code: 'two_factor_required'
+            });
+        }
+        if (!req.twoFactorVerified) {
+            return res.status(403).json({
+                error: 'Log in again with your two-factor code to use admin tools',
+                code: 'two_factor_session_required'
+            });
+        }
+        next();
+    } catch (error) {
+        console.error('Admin 2FA Check Error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+};
 
 const requireAdmin = [
     auth,
@@ -7,7 +35,8 @@ const requireAdmin = [
             return res.status(403).json({ error: 'Access denied. Admins only.' });
         }
         next();
-    }
+    },
+    requireTwoFactor
 ];
 
 const requireSuperAdmin = [
@@ -17,7 +46,8 @@ const requireSuperAdmin = [
             return res.status(403).json({ error: 'Access denied. Super Admins only.' });
         }
         next();
-    }
+    },
+    requireTwoFactor
 ];
 
 module.exports = { requireAdmin, requireSuperAdmin };
@@ -1,5 +1,29 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const { isPremiumExpired, expirePremium } = require('../services/premiumService');
+
+// How often lastUsedAt is written for a session (avoids a write on every request)
+const SESSION_TOUCH_INTERVAL_MS = 5 * 60 * 1000;
+
+// Verifies the access token and its session. Returns { user, session } (session null if revoked).
+const authenticate = async (token) => {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Tokens issued before sessions existed can't be revoked, so they are no longer accepted
+    if (!decoded.sid) return { user: null, session: null };
+
+    const session = await Session.findOne({ _id: decoded.sid, user: decoded.userId });
+    if (!session || !session.isActive()) return { user: null, session: null };
+
+    if (Date.now() - session.lastUsedAt.getTime() > SESSION_TOUCH_INTERVAL_MS) {
+        Session.updateOne({ _id: session._id }, { $set: { lastUsedAt: new Date() } })
+            .catch(err => console.error('Session touch error:', err));
+    }
+
+    const user = await User.findById(decoded.userId).populate('badges');
+    return { user, session };
+};
 
 const auth = async (req, res, next) => {
     try {
@@ -9,15 +33,29 @@ const auth = async (req, res, next) => {
             return res.status(401).json({ error: 'Authentication required' });
         }
 
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        const user = await User.findById(decoded.userId).populate('badges');
+        const { user, session } = await authenticate(token);
+
+        if (!session) {
+            return res.status(401).json({ error: 'Session expired or revoked' });
+        }
 
         if (!user) {
             return res.status(401).json({ error: 'User not found' });
         }
 
+        if (user.isBanned) {
+            return res.status(403).json({ error: 'This account has been banned' });
+        }
+
+        // Enforce premium expiry even if the scheduled job hasn't run yet
+        if (isPremiumExpired(user)) {
+            await expirePremium(user);
+        }
+
         req.user = user;
         req.token = token;
+        req.sessionId = session._id;
+        req.twoFactorVerified = session.twoFactorVerified;
         next();
     } catch (error) {
         res.status(401).json({ error: 'Invalid token' });
@@ -30,11 +68,15 @@ const optionalAuth = async (req, res, next) => {
         const token = req.header('Authorization')?.replace('Bearer ', '');
 
         if (token) {
-            const decoded = jwt.verify(token, process.env.JWT_SECRET);
-            const user = await User.findById(decoded.userId).populate('badges');
-            if (user) {
+            const { user, session } = await authenticate(token);
+            if (user && !user.isBanned) {
+                if (isPremiumExpired(user)) {
+                    await expirePremium(user);
+                }
                 req.user = user;
                 req.token = token;
+                req.sessionId = session._id;
+                req.twoFactorVerified = session.twoFactorVerified;
             }
         }
         next();
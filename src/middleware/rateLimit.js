@@ -0,0 +1,203 @@
+const RateLimit = require('../models/RateLimit');
+
+// Stores keep { count, resetAt } per key. Memory is the default; set RATE_LIMIT_STORE=mongo
+// when several instances run behind a load balancer so they share counters.
+class MemoryStore {
+    constructor() {
+        this.hits = new Map();
+        // Drop finished windows now and then
+        setInterval(() => {
+            const now = Date.now();
+            for (const [key, entry] of this.hits) {
+                if (entry.resetAt.getTime() <= now) this.hits.delete(key);
+            }
+        }, 60 * 1000).unref();
+    }
+
+    async get(key) {
+        const entry = this.hits.get(key);
+        if (!entry || entry.resetAt.getTime() <= Date.now()) return null;
+        return entry;
+    }
+
+    async increment(key, windowMs) {
+        const entry = await this.get(key);
+        if (entry) {
+            entry.count++;
+            return entry;
+        }
+        const fresh = { count: 1, resetAt: new Date(Date.now() + windowMs) };
+        this.hits.set(key, fresh);
+        return fresh;
+    }
+
+    async set(key, count, resetAt) {
+        this.hits.set(key, { count, resetAt });
+    }
+
+    async reset(key) {
+        this.hits.delete(key);
+    }
+}
+
+class MongoStore {
+    async get(key) {
+        return RateLimit.findOne({ key, resetAt: { $gt: new Date() } }).lean();
+    }
+
+    async increment(key, windowMs, retried = false) {
+        const now = new Date();
+        const inWindow = { $gt: ['$resetAt', now] };
+        try {
+            // Pipeline update so an expired window restarts at 1 in the same atomic step
+            return await RateLimit.findOneAndUpdate(
+                { key },
+                [{
+                    $set: {
+                        count: { $cond: [inWindow, { $add: ['$count', 1] }, 1] },
+                        resetAt: { $cond: [inWindow, '$resetAt', new Date(now.getTime() + windowMs)] }
+                    }
+                }],
+                { upsert: true, new: true, lean: true }
+            );
+        } catch (error) {
+            // Two first hits racing on the upsert: the loser retries as an update
+            if (error.code === 11000 && !retried) return this.increment(key, windowMs, true);
+            throw error;
+        }
+    }
+
+    async set(key, count, resetAt) {
+        await RateLimit.updateOne({ key }, { $set: { count, resetAt } }, { upsert: true });
+    }
+
+    async reset(key) {
+        await RateLimit.deleteOne({ key });
+    }
+}
+
+const createStore = () => (process.env.RATE_LIMIT_STORE === 'mongo' ? new MongoStore() : new MemoryStore());
+
+let defaultStore = null;
+const getDefaultStore = () => {
+    if (!defaultStore) defaultStore = createStore();
+    return defaultStore;
+};
+
+const secondsUntil = (date) => Math.max(Math.ceil((date.getTime() - Date.now()) / 1000), 0);
+
+/**
+ * Rate limiting middleware with standard RateLimit-* headers.
+ * @param {Object} options
+ * @param {string} options.name - Bucket name (keeps keys of different limiters apart).
+ * @param {number} options.windowMs - Window length.
+ * @param {number} options.max - Requests allowed per key per window.
+ * @param {Function} options.keyGenerator - (req) => key; defaults to the client IP. Return null to skip.
+ * @param {string} options.message - Error sent with the 429.
+ * @param {Object} options.store - Store instance (defaults to the shared memory/Mongo store).
+ */
+const rateLimit = ({
+    name,
+    windowMs,
+    max,
+    keyGenerator = (req) => req.ip,
+    message = 'Too many requests, please try again later',
+    store = null
+}) => {
+    return async (req, res, next) => {
+        try {
+            const key = keyGenerator(req);
+            if (!key) return next();
+
+            const { count, resetAt } = await (store || getDefaultStore()).increment(`${name}:${key}`, windowMs);
+            const reset = secondsUntil(resetAt);
+
+            res.set({
+                'RateLimit-Policy': `${max};w=${Math.ceil(windowMs / 1000)}`,
+                'RateLimit-Limit': String(max),
+                'RateLimit-Remaining': String(Math.max(max - count, 0)),
+                'RateLimit-Reset': String(reset)
+            });
+
+            if (count > max) {
+                res.set('Retry-After', String(reset));
+                return res.status(429).json({ error: message, retryAfter: reset });
+            }
+            next();
+        } catch (error) {
+            // Fail open: a store outage shouldn't take the endpoints down with it
+            console.error('Rate Limit Error:', error);
+            next();
+        }
+    };
+};
+
+// Progressive lockout: after LOCKOUT_THRESHOLD failures the key (e.g. account + IP) is locked, and every further
+// failure doubles the lock (capped). Failures are forgotten after LOCKOUT_FAILURE_WINDOW_MS or a success.
+const LOCKOUT_THRESHOLD = parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD) || 5;
+const LOCKOUT_BASE_MS = 60 * 1000;
+const LOCKOUT_MAX_MS = 60 * 60 * 1000;
+const LOCKOUT_FAILURE_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Seconds left on a lockout (0 if not locked).
+ * @param {string} key - Lockout key (e.g. the login email and client IP).
+ */
+const getLockout = async (key) => {
+    const lock = await getDefaultStore().get(`lockout:${key}`);
+    return lock ? secondsUntil(lock.resetAt) : 0;
+};
+
+/**
+ * Records a failed attempt and locks the key once the threshold is reached.
+ * @returns {number} Seconds the key is now locked for (0 if not locked).
+ */
+const recordFailure = async (key) => {
+    const store = getDefaultStore();
+    const { count } = await store.increment(`failures:${key}`, LOCKOUT_FAILURE_WINDOW_MS);
+    if (count < LOCKOUT_THRESHOLD) return 0;
+
+    const lockMs = Math.min(LOCKOUT_BASE_MS * 2 ** (count - LOCKOUT_THRESHOLD), LOCKOUT_MAX_MS);
+    await store.set(`lockout:${key}`, count, new Date(Date.now() + lockMs));
+    return Math.ceil(lockMs / 1000);
+};
+
+/**
+ * Forgets failed attempts after a successful login.
+ */
+const clearFailures = async (key) => {
+    const store = getDefaultStore();
+    await Promise.all([store.reset(`failures:${key}`), store.reset(`lockout:${key}`)]);
+};
+
+/**
+ * Counts a hit on a key in a fixed window (for limits the caller applies itself, e.g. only to failures).
+ * @param {string} key - Counter key.
+ * @param {number} windowMs - Window length.
+ * @returns {Object} { count, retryAfter } for the current window, this hit included.
+ */
+const countHit = async (key, windowMs) => {
+    const { count, resetAt } = await getDefaultStore().increment(`hits:${key}`, windowMs);
+    return { count, retryAfter: secondsUntil(resetAt) };
+};
+
+/**
+ * Whether this is the first hit on a key in the current window (for once-per-period actions).
+ * @param {string} key - Action key (e.g. profile and visitor).
+ * @param {number} windowMs - Period length.
+ */
+const isFirstHit = async (key, windowMs) => {
+    const { count } = await countHit(`once:${key}`, windowMs);
+    return count === 1;
+};
+
+module.exports = {
+    MemoryStore,
+    MongoStore,
+    rateLimit,
+    countHit,
+    isFirstHit,
+    getLockout,
+    recordFailure,
+    clearFailures
+};
@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// Short-lived one-time codes handed to the frontend in redirects instead of tokens:
+// 'login' is exchanged for a session, 'discord_link' confirms linking Discord to an existing account.
+const authCodeSchema = new mongoose.Schema({
+    codeHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    kind: {
+        type: String,
+        enum: ['login', 'discord_link'],
+        required: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // Discord profile waiting to be linked (discord_link only)
+    discord: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    usedAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+authCodeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('AuthCode', authCodeSchema);
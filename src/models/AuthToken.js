@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+// Single-use tokens sent by email (verification, password reset). The token itself is a signed JWT;
+// this record is what makes it single-use.
+const authTokenSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    purpose: {
+        type: String,
+        enum: ['email_verification', 'password_reset'],
+        required: true
+    },
+    // The JWT's jti claim
+    jti: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    // Email the token was sent to (a verification link only counts for that address)
+    email: {
+        type: String,
+        required: true
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    usedAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+authTokenSchema.index({ user: 1, purpose: 1 });
+// Expired tokens are removed by MongoDB's TTL monitor
+authTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('AuthToken', authTokenSchema);
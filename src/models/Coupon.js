@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+const couponSchema = new mongoose.Schema({
+    code: {
+        type: String,
+        required: true,
+        unique: true,
+        uppercase: true,
+        trim: true
+    },
+    description: {
+        type: String,
+        default: ''
+    },
+
+    // Targeting (all empty = any item)
+    items: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'StoreItem'
+    }],
+    itemTypes: [String],
+    rarities: [String],
+
+    // Discount
+    discountType: {
+        type: String,
+        enum: ['percentage', 'fixed'],
+        required: true
+    },
+    discountValue: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+
+    // Usage caps
+    maxUses: {
+        type: Number,
+        default: null // null = unlimited
+    },
+    usesCount: {
+        type: Number,
+        default: 0
+    },
+    redeemedBy: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }],
+
+    // Window
+    startsAt: Date,
+    expiresAt: Date,
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+module.exports = mongoose.model('Coupon', couponSchema);
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+// Audit log of crate openings. The seed reproduces the roll against the recorded drop table.
+const crateOpeningSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    crate: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'StoreItem',
+        required: true
+    },
+    seed: {
+        type: String,
+        required: true
+    },
+    // Rolls in [0, 1) derived from the seed: first picks the rarity, second the item within it
+    rarityRoll: Number,
+    itemRoll: Number,
+    // Drop table as it was when the crate was opened
+    dropTable: [{
+        _id: false,
+        item: { type: mongoose.Schema.Types.ObjectId, ref: 'StoreItem' },
+        rarity: String,
+        chance: Number
+    }],
+    rarity: String,
+    item: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'StoreItem',
+        required: true
+    },
+    // Already owned (or sold out): credits were paid instead of the item
+    duplicate: {
+        type: Boolean,
+        default: false
+    },
+    creditsAwarded: {
+        type: Number,
+        default: 0
+    },
+    serialNumber: {
+        type: Number,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+crateOpeningSchema.index({ user: 1, createdAt: -1 });
+crateOpeningSchema.index({ crate: 1, createdAt: -1 });
+
+module.exports = mongoose.model('CrateOpening', crateOpeningSchema);
@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+const creditTransactionSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    amount: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    type: {
+        type: String,
+        enum: ['earned', 'spent', 'refund', 'admin', 'transfer'],
+        required: true
+    },
+    direction: {
+        type: String,
+        enum: ['credit', 'debit'],
+        required: true
+    },
+    source: {
+        type: String,
+        enum: ['referral', 'purchase', 'level_up', 'achievement', 'admin', 'signup_bonus', 'daily', 'transfer', 'refund', 'sell_back', 'crate', 'marketplace', 'trade']
+    },
+    description: String,
+    relatedItem: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'StoreItem'
+    },
+
+    // Transfers are double-entry: both sides share a transferId and point at each other's user
+    transferId: mongoose.Schema.Types.ObjectId,
+    counterparty: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    message: {
+        type: String,
+        maxlength: 200
+    },
+
+    // Client-supplied key so retried requests (e.g. store buys) are only charged once
+    idempotencyKey: String,
+
+    // User's balance right after this transaction
+    balanceAfter: Number,
+
+    // Embedded User.creditHistory entry this row was migrated from
+    legacyId: mongoose.Schema.Types.ObjectId
+}, {
+    timestamps: true
+});
+
+// Index for per-user history queries
+creditTransactionSchema.index({ user: 1, createdAt: -1 });
+creditTransactionSchema.index({ transferId: 1 }, { sparse: true });
+creditTransactionSchema.index({ user: 1, source: 1, direction: 1, createdAt: -1 });
+creditTransactionSchema.index(
+    { user: 1, idempotencyKey: 1 },
+    { unique: true, partialFilterExpression: { idempotencyKey: { $type: 'string' } } }
+);
+
+module.exports = mongoose.model('CreditTransaction', creditTransactionSchema);
@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+// Marketplace listing. While active, the copy is held in escrow (out of the seller's inventory).
+const listingSchema = new mongoose.Schema({
+    seller: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    item: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'StoreItem',
+        required: true
+    },
+    price: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+    status: {
+        type: String,
+        enum: ['active', 'sold', 'cancelled'],
+        default: 'active'
+    },
+    // The escrowed copy's UserItem details, restored to the seller on cancel or passed on to the buyer
+    copy: {
+        source: { type: String, default: 'purchase' },
+        pricePaid: { type: Number, default: 0 },
+        acquiredAt: { type: Date, default: null },
+        equippedAt: { type: Date, default: null },
+        serialNumber: { type: Number, default: null }
+    },
+    // Set when sold
+    buyer: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    fee: {
+        type: Number,
+        default: 0
+    },
+    transferId: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null
+    },
+    soldAt: {
+        type: Date,
+        default: null
+    },
+    cancelledAt: {
+        type: Date,
+        default: null
+    },
+    // Sold, but paying the seller failed; the marketplace payouts job retries it
+    payoutPending: {
+        type: Boolean,
+        default: false
+    },
+    // Cancelled, but the copy couldn't be given back; it stays here to be restored by hand
+    copyUnreturned: {
+        type: Boolean,
+        default: false
+    }
+}, {
+    timestamps: true
+});
+
+listingSchema.index({ status: 1, item: 1, price: 1 });
+listingSchema.index({ seller: 1, status: 1, createdAt: -1 });
+listingSchema.index({ buyer: 1, soldAt: -1 });
+listingSchema.index({ item: 1, status: 1, soldAt: -1 });
+listingSchema.index({ payoutPending: 1 }, { partialFilterExpression: { payoutPending: true } });
+// A seller can only have one active listing per item (they only own one copy)
+listingSchema.index(
+    { seller: 1, item: 1 },
+    { unique: true, partialFilterExpression: { status: 'active' } }
+);
+
+module.exports = mongoose.model('Listing', listingSchema);
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+// Notifications older than this are removed by MongoDB's TTL monitor
+const TTL_DAYS = parseInt(process.env.NOTIFICATION_TTL_DAYS) || 90;
+
+const notificationSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    type: {
+        type: String,
+        enum: [
+            'referral_signup', 'badge_awarded', 'account_verified',
+            'gift_received', 'item_gift_received', 'marketplace_sale',
+            'trade_offer', 'trade_accepted', 'trade_declined', 'trade_countered',
+            'wishlist_sale', 'wishlist_restock', 'wishlist_affordable'
+        ],
+        required: true
+    },
+    title: {
+        type: String,
+        required: true
+    },
+    message: {
+        type: String,
+        default: ''
+    },
+    // Type-specific payload (e.g. { transferId, amount, from })
+    data: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+    isRead: {
+        type: Boolean,
+        default: false
+    },
+    readAt: Date
+}, {
+    timestamps: true
+});
+
+// Index for per-user inbox queries
+notificationSchema.index({ user: 1, createdAt: -1 });
+notificationSchema.index({ user: 1, isRead: 1 });
+notificationSchema.index({ createdAt: 1 }, { expireAfterSeconds: TTL_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('Notification', notificationSchema);
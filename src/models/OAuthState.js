@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// A Discord authorization in progress: the random `state` sent to Discord, its PKCE verifier
+// and what the flow is for. Single use, expires after a few minutes.
+const oauthStateSchema = new mongoose.Schema({
+    state: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    purpose: {
+        type: String,
+        enum: ['login', 'link'],
+        required: true
+    },
+    // The signed-in user connecting Discord (link flow only)
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    codeVerifier: {
+        type: String,
+        required: true
+    },
+    // sha256 of the nonce cookie set on the browser that started the login flow
+    nonceHash: {
+        type: String,
+        default: null
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    usedAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+oauthStateSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('OAuthState', oauthStateSchema);
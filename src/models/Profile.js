@@ -137,9 +137,11 @@ const profileSchema = new mongoose.Schema({
     links: [linkSchema],
     socials: [socialSchema],
 
-    // Frame
+    // Frame (StoreItem with itemType 'frame'; legacy Frame IDs / URLs are rewritten by scripts/migrateFrames.js,
+    // which must run before deploying: the API won't start while string values remain)
     frame: {
-        type: mongoose.Schema.Types.Mixed, // Supports ObjectId ref or URL string
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'StoreItem',
         default: null
     },
 
@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+// Hit counters for the Mongo rate limit store (shared between instances)
+const rateLimitSchema = new mongoose.Schema({
+    key: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    count: {
+        type: Number,
+        default: 0
+    },
+    resetAt: {
+        type: Date,
+        required: true
+    }
+});
+
+// Finished windows are removed by MongoDB's TTL monitor
+rateLimitSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RateLimit', rateLimitSchema);
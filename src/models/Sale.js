@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+const saleSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+
+    // Targeting: a sale applies to an item if it matches any of these (all empty = whole store)
+    items: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'StoreItem'
+    }],
+    itemTypes: [String],
+    rarities: [String],
+
+    // Discount
+    discountType: {
+        type: String,
+        enum: ['percentage', 'fixed'],
+        required: true
+    },
+    discountValue: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+
+    // Window
+    startsAt: {
+        type: Date,
+        required: true
+    },
+    endsAt: {
+        type: Date,
+        required: true
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+saleSchema.index({ isActive: 1, startsAt: 1, endsAt: 1 });
+
+module.exports = mongoose.model('Sale', saleSchema);
@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+// A signed-in device. The client holds a refresh token for it; only hashes are stored here.
+const sessionSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // sha256 of the current refresh token (rotated on every refresh)
+    refreshTokenHash: {
+        type: String,
+        required: true
+    },
+    // sha256 of the token it replaced, so a replayed old token can be detected
+    previousTokenHash: {
+        type: String,
+        default: null
+    },
+    userAgent: {
+        type: String,
+        default: ''
+    },
+    deviceType: {
+        type: String,
+        default: 'unknown'
+    },
+    // Country code from the IP at sign-in / last refresh (the IP itself is not stored)
+    country: {
+        type: String,
+        default: 'UN'
+    },
+    // Whether this session passed a 2FA step (login code, or enrolling from it)
+    twoFactorVerified: {
+        type: Boolean,
+        default: false
+    },
+    lastUsedAt: {
+        type: Date,
+        default: Date.now
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    revokedAt: {
+        type: Date,
+        default: null
+    },
+    revokedReason: {
+        type: String,
+        enum: [null, 'logout', 'revoked', 'revoked_all', 'token_reuse', 'password_changed', 'banned'],
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+sessionSchema.index({ user: 1, revokedAt: 1 });
+// Expired sessions are removed by MongoDB's TTL monitor
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Check if the session can still be used
+sessionSchema.methods.isActive = function () {
+    return !this.revokedAt && this.expiresAt > new Date();
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
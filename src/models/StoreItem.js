@@ -17,7 +17,7 @@ const storeItemSchema = new mongoose.Schema({
     itemType: {
         type: String,
         required: true,
-        enum: ['frame', 'cursor', 'background', 'audio', 'avatar', 'banner', 'badge', 'sticker', 'effect'],
+        enum: ['frame', 'cursor', 'background', 'audio', 'avatar', 'banner', 'badge', 'sticker', 'effect', 'crate', 'bundle'],
         index: true
     },
     rarity: {
@@ -40,11 +40,47 @@ const storeItemSchema = new mongoose.Schema({
     },
     metadata: {
         type: mongoose.Schema.Types.Mixed,
-        default: {} // specific props like cursor hotspot { x: 0, y: 0 }
+        default: {} // specific props like cursor hotspot { x: 0, y: 0 }, or a crate's { pool, rarityWeights, duplicateCredits }
     },
     isActive: {
         type: Boolean,
         default: true
+    },
+    // Can owned copies be resold on the marketplace (free/premium/exclusive items never are)
+    isTradable: {
+        type: Boolean,
+        default: true
+    },
+    // Members of a bundle (itemType 'bundle'); buying the bundle grants the ones not owned yet
+    bundleItems: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'StoreItem'
+    }],
+    // ID of the retired Frame document this item replaced (old frame IDs still resolve to it)
+    legacyFrameId: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null,
+        index: true
+    },
+    // Limited supply: total = null means unlimited; sold doubles as the last serial handed out
+    stock: {
+        total: { type: Number, default: null, min: 0 },
+        sold: { type: Number, default: 0 }
+    },
+    // Time-gated drops (null = no bound)
+    availableFrom: {
+        type: Date,
+        default: null
+    },
+    availableUntil: {
+        type: Date,
+        default: null
+    },
+    // Max purchases per user (null = no cap)
+    maxPerUser: {
+        type: Number,
+        default: null,
+        min: 1
     }
 }, {
     timestamps: true
@@ -21,6 +21,30 @@ const systemConfigSchema = new mongoose.Schema({
         type: String,
         default: null // Fallback to process.env.PRIMARY_GUILD_ID
     },
+    gifting: {
+        dailyCreditLimit: { type: Number, default: 1000 }, // Max credits a user can gift per 24h
+        dailyGiftCount: { type: Number, default: 10 }, // Max gifts a user can send per 24h
+        minAccountAgeDays: { type: Number, default: 7 }, // Both sides must be at least this old
+        referralCooldownDays: { type: Number, default: 30 } // No gifts within a direct referral pair until the referred account is this old
+    },
+    store: {
+        refundWindowHours: { type: Number, default: 24 }, // Unequipped purchases can be refunded within this window
+        sellBackPercent: { type: Number, default: 50 } // % of the price paid (UserItem.pricePaid) returned when selling a purchased copy back
+    },
+    marketplace: {
+        feePercent: { type: Number, default: 10 }, // Platform cut of each sale, deducted from the seller's payout
+        minPrice: { type: Number, default: 1 },
+        maxPrice: { type: Number, default: 1000000 },
+        maxActiveListings: { type: Number, default: 20 } // Per seller
+    },
+    trading: {
+        offerExpiryHours: { type: Number, default: 72 }, // Pending offers expire after this long
+        maxItemsPerSide: { type: Number, default: 10 },
+        maxPendingOffers: { type: Number, default: 20 } // Open offers a user can have sent at once
+    },
+    security: {
+        requireAdminTwoFactor: { type: Boolean, default: false } // Admins and super admins must enroll in 2FA to use admin routes
+    },
     updatedBy: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User'
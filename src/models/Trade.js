@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+// Item-for-item trade offer. Nothing is escrowed while pending; ownership is re-checked on accept.
+const tradeSchema = new mongoose.Schema({
+    initiator: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    recipient: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // What each side gives
+    initiatorItems: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'StoreItem'
+    }],
+    initiatorCredits: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    recipientItems: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'StoreItem'
+    }],
+    recipientCredits: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    message: {
+        type: String,
+        default: '',
+        maxlength: 200
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'accepted', 'declined', 'cancelled', 'countered', 'expired', 'failed'],
+        default: 'pending'
+    },
+    // The offer this one counters (and, on the countered offer, the counter)
+    counterOf: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Trade',
+        default: null
+    },
+    counteredBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Trade',
+        default: null
+    },
+    // Shared with the credit transactions of an accepted trade
+    transferId: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null
+    },
+    failureReason: {
+        type: String,
+        default: null
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    respondedAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+tradeSchema.index({ initiator: 1, createdAt: -1 });
+tradeSchema.index({ recipient: 1, createdAt: -1 });
+tradeSchema.index({ status: 1, expiresAt: 1 });
+
+module.exports = mongoose.model('Trade', tradeSchema);
@@ -1,5 +1,16 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const XPEvent = require('./XPEvent');
+const CreditTransaction = require('./CreditTransaction');
+
+// Daily reward tuning
+const DAILY_COOLDOWN_MS = 24 * 60 * 60 * 1000;
+const DAILY_GRACE_MS = 24 * 60 * 60 * 1000; // Extra window after cooldown before the streak resets
+const DAILY_MAX_STREAK_BONUS = 7; // Rewards stop escalating after a week
+
+// Level-up rewards (credits per level gained, bigger payout every 10th level)
+const LEVEL_UP_CREDITS = 25;
+const LEVEL_MILESTONE_CREDITS = 250;
 
 const userSchema = new mongoose.Schema({
     // Auth
@@ -15,6 +26,39 @@ const userSchema = new mongoose.Schema({
         required: true,
         minlength: 6
     },
+    // Set once the user opens the link from the verification email
+    emailVerified: {
+        type: Boolean,
+        default: false
+    },
+    emailVerifiedAt: Date,
+    passwordChangedAt: Date,
+    // TOTP two-factor auth. Secrets are encrypted and backup codes hashed (see twoFactorService)
+    twoFactor: {
+        enabled: {
+            type: Boolean,
+            default: false
+        },
+        secret: {
+            type: String,
+            select: false
+        },
+        // Secret waiting for the first code during enrollment
+        pendingSecret: {
+            type: String,
+            select: false
+        },
+        backupCodes: {
+            type: [String],
+            select: false
+        },
+        // Last accepted time step (a code can't be used twice)
+        lastUsedStep: {
+            type: Number,
+            select: false
+        },
+        enabledAt: Date
+    },
 
     // Roles & Permissions
     role: {
@@ -98,6 +142,20 @@ const userSchema = new mongoose.Schema({
         default: false
     },
     premiumUntil: Date,
+    isBanned: {
+        type: Boolean,
+        default: false
+    },
+    bannedAt: Date,
+    // Held while a credit gift or trade payment from this user is checked and sent (see giftService)
+    giftLockUntil: {
+        type: Date,
+        default: null
+    },
+    // Notification types the user doesn't want in their inbox
+    notificationPreferences: {
+        muted: [String]
+    },
     uploadCount: {
         type: Number,
         default: 0
@@ -117,6 +175,8 @@ const userSchema = new mongoose.Schema({
         default: 0,
         min: 0
     },
+    // Legacy embedded ledger, superseded by the CreditTransaction collection.
+    // Kept read-only until scripts/migrateCreditHistory.js has been run.
     creditHistory: [{
         amount: Number,
         type: {
@@ -207,7 +267,17 @@ const userSchema = new mongoose.Schema({
         default: Date.now
     },
     lastLoginAt: Date,
-    lastDaily: Date
+    lastDaily: Date,
+    dailyStreak: {
+        current: {
+            type: Number,
+            default: 0
+        },
+        longest: {
+            type: Number,
+            default: 0
+        }
+    }
 }, {
     timestamps: true
 });
@@ -250,48 +320,144 @@ userSchema.methods.generatePremiumReferralCode = async function () {
     return code;
 };
 
+// Atomically apply a balance change and record it in the CreditTransaction ledger.
+// Debits are guarded by the current balance, so concurrent spends can never overdraw.
+// With an idempotencyKey the ledger row is claimed first (unique per user), so a
+// retried request fails with code DUPLICATE_REQUEST instead of being charged twice.
+userSchema.statics.applyCreditChange = async function (userId, delta, entry, extraInc = {}) {
+    const amount = Math.abs(delta);
+    const direction = delta < 0 ? 'debit' : 'credit';
+    let transaction = null;
+
+    if (entry.idempotencyKey) {
+        try {
+            transaction = await CreditTransaction.create({ user: userId, amount, direction, ...entry });
+        } catch (error) {
+            if (error.code === 11000) {
+                const duplicate = new Error('Duplicate request');
+                duplicate.code = 'DUPLICATE_REQUEST';
+                duplicate.transaction = await CreditTransaction.findOne({ user: userId, idempotencyKey: entry.idempotencyKey });
+                throw duplicate;
+            }
+            throw error;
+        }
+    }
+
+    const filter = { _id: userId };
+    if (delta < 0) filter.credits = { $gte: amount };
+
+    const updated = await this.findOneAndUpdate(
+        filter,
+        { $inc: { credits: delta, ...extraInc } },
+        { new: true, projection: { credits: 1 } }
+    );
+
+    if (!updated) {
+        if (transaction) await transaction.deleteOne();
+        throw new Error(delta < 0 ? 'Insufficient credits' : 'User not found');
+    }
+
+    if (transaction) {
+        transaction.balanceAfter = updated.credits;
+        await transaction.save();
+    } else {
+        transaction = await CreditTransaction.create({ user: userId, amount, direction, balanceAfter: updated.credits, ...entry });
+    }
+
+    // Wishlist "you can afford it" alerts (not awaited, never throws)
+    if (delta > 0) {
+        const { checkAffordable } = require('../services/wishlistService'); // Lazy load to avoid circular dependency
+        checkAffordable(userId, updated.credits);
+    }
+
+    return { balance: updated.credits, transaction };
+};
+
+// Move credits between two users (double-entry: both rows share a transferId and point at each other)
+// details: { senderDescription, receiverDescription, message, idempotencyKey, source, transferId }
+userSchema.statics.transferCredits = async function (fromId, toId, amount, details = {}) {
+    const transferId = details.transferId || new mongoose.Types.ObjectId();
+    const source = details.source || 'transfer';
+
+    const debit = await this.applyCreditChange(fromId, -amount, {
+        type: 'transfer',
+        source,
+        description: details.senderDescription,
+        message: details.message,
+        transferId,
+        counterparty: toId,
+        idempotencyKey: details.idempotencyKey
+    });
+
+    try {
+        const credit = await this.applyCreditChange(toId, amount, {
+            type: 'transfer',
+            source,
+            description: details.receiverDescription,
+            message: details.message,
+            transferId,
+            counterparty: fromId
+        });
+
+        return { transferId, senderBalance: debit.balance, receiverBalance: credit.balance };
+    } catch (error) {
+        // Reverse the debit so credits are never lost mid-transfer
+        await this.applyCreditChange(fromId, amount, {
+            type: 'refund',
+            source,
+            description: 'Transfer reversed',
+            transferId,
+            counterparty: toId
+        });
+        throw error;
+    }
+};
+
+// Keep the in-memory balance in sync without marking it modified,
+// so a later save() can't overwrite concurrent $inc updates
+userSchema.methods.syncCredits = function (balance) {
+    this.credits = balance;
+    this.unmarkModified('credits');
+};
+
 // Add Credits
-userSchema.methods.addCredits = async function (amount, source, description, relatedItem = null) {
-    if (this.credits === undefined) this.credits = 0;
-    if (!this.creditHistory) this.creditHistory = [];
-    if (!this.referralStats) this.referralStats = { totalReferrals: 0, activeReferrals: 0, totalXPEarned: 0, totalCreditsEarned: 0 };
+// options: { type: 'earned' | 'refund' | 'admin', idempotencyKey }
+userSchema.methods.addCredits = async function (amount, source, description, relatedItem = null, options = {}) {
+    const extraInc = source === 'referral' ? { 'referralStats.totalCreditsEarned': amount } : {};
 
-    this.credits += amount;
-    this.creditHistory.push({
-        amount,
-        type: 'earned',
+    const { balance } = await this.constructor.applyCreditChange(this._id, amount, {
+        type: options.type || 'earned',
         source,
         description,
-        relatedItem
-    });
+        relatedItem,
+        idempotencyKey: options.idempotencyKey
+    }, extraInc);
 
-    if (source === 'referral') {
+    this.syncCredits(balance);
+    if (source === 'referral' && this.referralStats) {
         this.referralStats.totalCreditsEarned += amount;
+        this.unmarkModified('referralStats.totalCreditsEarned');
     }
 
-    await this.save();
+    // Persist any pending changes callers relied on addCredits to save
+    if (this.isModified()) await this.save();
     return this.credits;
 };
 
 // Spend Credits
-userSchema.methods.spendCredits = async function (amount, relatedItem, description) {
-    if (this.credits === undefined) this.credits = 0;
-    if (!this.creditHistory) this.creditHistory = [];
-
-    if (this.credits < amount) {
-        throw new Error('Insufficient credits');
-    }
-
-    this.credits -= amount;
-    this.creditHistory.push({
-        amount,
+// options: { source: 'purchase' | ..., idempotencyKey }
+userSchema.methods.spendCredits = async function (amount, relatedItem, description, options = {}) {
+    const { balance } = await this.constructor.applyCreditChange(this._id, -amount, {
         type: 'spent',
-        source: 'purchase',
+        source: options.source || 'purchase',
         description,
-        relatedItem
+        relatedItem,
+        idempotencyKey: options.idempotencyKey
     });
 
-    await this.save();
+    this.syncCredits(balance);
+
+    if (this.isModified()) await this.save();
     return this.credits;
 };
 
@@ -315,13 +481,19 @@ userSchema.methods.addReferral = async function (userId, codeUsed) {
     this.referralStats.activeReferrals += 1; // Initially active
 
     await this.save();
+
+    const { notify } = require('../services/notificationService'); // Lazy load to avoid circular dependency
+    const referred = await this.constructor.findById(userId).select('username displayName');
+    await notify(this._id, 'referral_signup', {
+        title: `${referred?.displayName || referred?.username || 'Someone'} joined with your referral code`,
+        data: { user: { id: userId, username: referred?.username }, codeUsed }
+    });
 };
 
 // Pre-save to handle premium code generation
 userSchema.pre('save', async function (next) {
     // Initialize missing fields for legacy users to prevent crashes
     if (this.credits === undefined) this.credits = 0;
-    if (!this.creditHistory) this.creditHistory = [];
     if (!this.referrals) this.referrals = [];
     if (!this.referralStats) {
         this.referralStats = {
@@ -399,6 +571,7 @@ userSchema.pre('save', async function (next) {
 
     const salt = await bcrypt.genSalt(10);
     this.password = await bcrypt.hash(this.password, salt);
+    if (!this.isNew) this.passwordChangedAt = new Date();
     next();
 });
 
@@ -407,18 +580,178 @@ userSchema.methods.comparePassword = async function (candidatePassword) {
     return bcrypt.compare(candidatePassword, this.password);
 };
 
+// Level for an XP total
+userSchema.statics.levelForXP = function (xp) {
+    // Level formula: level = floor(sqrt(xp / 100)) + 1
+    return Math.floor(Math.sqrt((xp || 0) / 100)) + 1;
+};
+
 // Calculate level from XP
 userSchema.methods.calculateLevel = function () {
-    // Level formula: level = floor(sqrt(xp / 100)) + 1
-    return Math.floor(Math.sqrt(this.xp / 100)) + 1;
+    return this.constructor.levelForXP(this.xp);
 };
 
-// Add XP and update level
-userSchema.methods.addXP = async function (amount) {
-    this.xp += amount;
-    this.level = this.calculateLevel();
-    await this.save();
-    return { xp: this.xp, level: this.level };
+// Minimum XP required to reach a level (inverse of calculateLevel)
+userSchema.statics.xpForLevel = function (level) {
+    return 100 * Math.pow(Math.max(level, 1) - 1, 2);
+};
+
+// Progress towards the next level
+userSchema.methods.getLevelProgress = function () {
+    const level = this.calculateLevel();
+    const currentLevelXP = this.constructor.xpForLevel(level);
+    const nextLevelXP = this.constructor.xpForLevel(level + 1);
+
+    return {
+        xp: this.xp,
+        level,
+        currentLevelXP,
+        nextLevelXP,
+        xpIntoLevel: this.xp - currentLevelXP,
+        xpToNextLevel: nextLevelXP - this.xp,
+        progress: Math.floor(((this.xp - currentLevelXP) / (nextLevelXP - currentLevelXP)) * 100)
+    };
+};
+
+// Add XP, update level, record ledger entry and pay level-up rewards
+// related: optional { kind: 'User' | 'Profile' | 'Badge' | 'StoreItem', item: ObjectId }
+// XP is applied with $inc and the level moves forward with a conditional update, so concurrent
+// calls can't drop XP or pay the same level-up twice.
+userSchema.methods.addXP = async function (amount, source = 'other', description = '', related = null) {
+    const inc = { xp: amount };
+    if (source === 'referral') inc['referralStats.totalXPEarned'] = amount;
+
+    const updated = await this.constructor.findOneAndUpdate(
+        { _id: this._id },
+        { $inc: inc },
+        { new: true, projection: { xp: 1, level: 1 } }
+    );
+    if (!updated) throw new Error('User not found');
+
+    await XPEvent.create({
+        user: this._id,
+        amount,
+        source,
+        description,
+        relatedEntity: related || undefined,
+        xpAfter: updated.xp,
+        levelBefore: this.constructor.levelForXP(updated.xp - amount),
+        levelAfter: this.constructor.levelForXP(updated.xp)
+    });
+
+    // Move the stored level up to the one the XP total reaches; whoever moves it pays the rewards
+    let current = updated;
+    let levelBefore = current.level || 1;
+    let levelAfter = levelBefore;
+    while (this.constructor.levelForXP(current.xp) > (current.level || 1)) {
+        const target = this.constructor.levelForXP(current.xp);
+        const claimed = await this.constructor.updateOne(
+            { _id: this._id, level: current.level ?? null },
+            { $set: { level: target } }
+        );
+        if (claimed.modifiedCount) {
+            levelBefore = current.level || 1;
+            levelAfter = target;
+            break;
+        }
+        current = await this.constructor.findById(this._id).select('xp level');
+    }
+
+    // Keep the in-memory copy in sync without marking it modified (a later save() must not overwrite the $inc)
+    this.xp = current.xp;
+    this.level = Math.max(current.level || 1, levelAfter);
+    this.unmarkModified('xp');
+    this.unmarkModified('level');
+    if (source === 'referral' && this.referralStats) {
+        this.referralStats.totalXPEarned += amount;
+        this.unmarkModified('referralStats.totalXPEarned');
+    }
+
+    const leveledUp = levelAfter > levelBefore;
+    if (leveledUp) {
+        let reward = 0;
+        for (let lvl = levelBefore + 1; lvl <= levelAfter; lvl++) {
+            reward += lvl % 10 === 0 ? LEVEL_MILESTONE_CREDITS : LEVEL_UP_CREDITS;
+        }
+        await this.addCredits(reward, 'level_up', `Reached level ${levelAfter}`);
+
+        // Level-criteria badges (not awaited, never throws)
+        const { checkCriteriaBadges } = require('../services/badgeService'); // Lazy load to avoid circular dependency
+        checkCriteriaBadges(this._id);
+    }
+
+    // Persist any pending changes callers relied on addXP to save
+    if (this.isModified()) await this.save();
+    return { xp: this.xp, level: this.level, leveledUp };
+};
+
+// Reward for a given streak day (1-based), escalating up to DAILY_MAX_STREAK_BONUS
+userSchema.statics.getDailyReward = function (streakDay) {
+    const day = Math.min(Math.max(streakDay, 1), DAILY_MAX_STREAK_BONUS);
+    return {
+        credits: 10 + (day - 1) * 5,
+        xp: day * 20
+    };
+};
+
+// Daily claim status (cooldown + streak)
+userSchema.methods.getDailyStatus = function (now = new Date()) {
+    const currentStreak = this.dailyStreak?.current || 0;
+
+    if (!this.lastDaily) {
+        return {
+            canClaim: true,
+            nextClaimAt: now,
+            streak: 0,
+            streakExpiresAt: null,
+            nextReward: this.constructor.getDailyReward(1)
+        };
+    }
+
+    const last = new Date(this.lastDaily).getTime();
+    const nextClaimAt = new Date(last + DAILY_COOLDOWN_MS);
+    const streakExpiresAt = new Date(last + DAILY_COOLDOWN_MS + DAILY_GRACE_MS);
+    const streakAlive = now < streakExpiresAt;
+    const streak = streakAlive ? currentStreak : 0;
+
+    return {
+        canClaim: now >= nextClaimAt,
+        nextClaimAt,
+        streak,
+        streakExpiresAt: streakAlive ? streakExpiresAt : null,
+        nextReward: this.constructor.getDailyReward(streak + 1)
+    };
+};
+
+// Claim daily reward
+userSchema.methods.claimDaily = async function () {
+    const now = new Date();
+    const status = this.getDailyStatus(now);
+
+    if (!status.canClaim) {
+        throw new Error('Daily reward already claimed');
+    }
+
+    const streak = status.streak + 1;
+    const longest = Math.max(this.dailyStreak?.longest || 0, streak);
+
+    // Guard against concurrent claims: only one request can move lastDaily forward
+    const result = await this.constructor.updateOne(
+        { _id: this._id, lastDaily: this.lastDaily || null },
+        { $set: { lastDaily: now, 'dailyStreak.current': streak, 'dailyStreak.longest': longest } }
+    );
+    if (!result.modifiedCount) {
+        throw new Error('Daily reward already claimed');
+    }
+
+    this.lastDaily = now;
+    this.dailyStreak = { current: streak, longest };
+
+    const reward = this.constructor.getDailyReward(streak);
+    await this.addXP(reward.xp, 'daily', `Daily reward (day ${streak} streak)`);
+    await this.addCredits(reward.credits, 'daily', `Daily reward (day ${streak} streak)`);
+
+    return { ...reward, streak, longest, nextClaimAt: new Date(now.getTime() + DAILY_COOLDOWN_MS) };
 };
 
 module.exports = mongoose.model('User', userSchema);
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// Per-copy metadata for items in User.inventory.items (how/when it was acquired, usage)
+const userItemSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    item: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'StoreItem',
+        required: true
+    },
+    source: {
+        type: String,
+        enum: ['purchase', 'claim', 'gift', 'admin', 'crate', 'marketplace', 'trade'],
+        default: 'purchase'
+    },
+    pricePaid: {
+        type: Number,
+        default: 0
+    },
+    // Copy number for limited-stock items ("#12 of 500"); null for unlimited items
+    serialNumber: {
+        type: Number,
+        default: null
+    },
+    acquiredAt: {
+        type: Date,
+        default: Date.now
+    },
+    // First time the item was put on the profile (equipped items can't be refunded)
+    equippedAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+// Compound index for user-item uniqueness
+userItemSchema.index({ user: 1, item: 1 }, { unique: true });
+
+module.exports = mongoose.model('UserItem', userItemSchema);
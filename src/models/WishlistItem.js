@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+// A store item a user saved for later, plus which alerts they already got for it
+const wishlistItemSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    item: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'StoreItem',
+        required: true
+    },
+    // Sales already announced for this entry (one alert per sale)
+    notifiedSales: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Sale'
+    }],
+    // Set once the user has been told they can afford the item
+    affordableNotifiedAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+wishlistItemSchema.index({ user: 1, item: 1 }, { unique: true });
+wishlistItemSchema.index({ item: 1 });
+
+module.exports = mongoose.model('WishlistItem', wishlistItemSchema);
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+const xpEventSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    amount: {
+        type: Number,
+        required: true
+    },
+    source: {
+        type: String,
+        enum: ['profile_view', 'referral', 'signup_bonus', 'achievement', 'daily', 'admin', 'other'],
+        default: 'other'
+    },
+    description: {
+        type: String,
+        default: ''
+    },
+
+    // What triggered the XP (referred user, milestone badge, viewed profile...)
+    relatedEntity: {
+        kind: {
+            type: String,
+            enum: ['User', 'Profile', 'Badge', 'StoreItem']
+        },
+        item: {
+            type: mongoose.Schema.Types.ObjectId,
+            refPath: 'relatedEntity.kind'
+        }
+    },
+
+    // Snapshot of progression after this event
+    xpAfter: Number,
+    levelBefore: Number,
+    levelAfter: Number
+}, {
+    timestamps: true
+});
+
+// Index for per-user history queries
+xpEventSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('XPEvent', xpEventSchema);
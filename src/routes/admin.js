@@ -1,11 +1,16 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
 const User = require('../models/User');
 const Profile = require('../models/Profile');
 const Badge = require('../models/Badge');
+const UserBadge = require('../models/UserBadge');
 const SystemConfig = require('../models/SystemConfig');
 const VisitSession = require('../models/VisitSession');
+const CreditTransaction = require('../models/CreditTransaction');
 const { requireAdmin, requireSuperAdmin } = require('../middleware/adminAuth');
+const { notify } = require('../services/notificationService');
+const { revokeAllSessions } = require('../services/sessionService');
 
 // @route   GET /api/admin/stats
 // @desc    Get dashboard overview stats
@@ -252,6 +257,7 @@ router.get('/users/:id/metrics', requireAdmin, async (req, res) => {
             email: user.email,
             role: user.role,
             isVerified: user.isVerified,
+            twoFactorEnabled: Boolean(user.twoFactor?.enabled),
             isOnline: user.lastLoginAt && (new Date() - new Date(user.lastLoginAt) < 1000 * 60 * 5),
             avatar: profile?.avatar,
             banner: profile?.banner,
@@ -263,7 +269,7 @@ router.get('/users/:id/metrics', requireAdmin, async (req, res) => {
 
             // Economy
             credits: user.credits,
-            creditHistory: user.creditHistory || [],
+            creditHistory: await CreditTransaction.find({ user: user._id }).sort({ createdAt: -1 }).limit(50),
 
             // Assets
             inventory: user.inventory?.items || [],
@@ -314,9 +320,11 @@ router.put('/users/:id/premium', requireSuperAdmin, async (req, res) => {
         if (!user) return res.status(404).json({ error: 'User not found' });
 
         if (type === 'none') {
-            user.isPremium = false;
-            user.isLifetimePremium = false;
             user.premiumUntil = null;
+            if (user.isPremium) {
+                const { expirePremium } = require('../services/premiumService');
+                await expirePremium(user, 'revoked by admin');
+            }
         } else if (type === 'lifetime') {
             user.isPremium = true;
             user.isLifetimePremium = true;
@@ -351,6 +359,50 @@ router.put('/users/:id/premium', requireSuperAdmin, async (req, res) => {
     }
 });
 
+// @route   POST /api/admin/users/:id/refund/:itemId
+// @desc    Refund a user's item (removes it and returns credits; body.amount overrides the paid price)
+// @access  Admin
+router.post('/users/:id/refund/:itemId', requireAdmin, async (req, res) => {
+    try {
+        const user = await User.findById(req.params.id);
+        if (!user) return res.status(404).json({ error: 'User not found' });
+
+        const item = await StoreItem.findById(req.params.itemId);
+        if (!item) return res.status(404).json({ error: 'Item not found' });
+
+        const UserItem = require('../models/UserItem');
+        const record = await UserItem.findOne({ user: user._id, item: item._id });
+        const amount = req.body.amount !== undefined ? Number(req.body.amount) : (record ? record.pricePaid : item.price);
+
+        if (!Number.isInteger(amount) || amount < 0) {
+            return res.status(400).json({ error: 'Invalid amount' });
+        }
+
+        const { takeFromInventory, giveToInventory } = require('../services/inventoryService');
+        const copy = await takeFromInventory(user._id, item);
+        if (!copy) {
+            return res.status(400).json({ error: 'User does not own this item' });
+        }
+
+        if (amount > 0) {
+            try {
+                await user.addCredits(amount, 'refund', `Refund: ${item.name} (by ${req.user.username})`, item._id, { type: 'refund' });
+            } catch (creditError) {
+                // Not refunded: hand the copy back before failing
+                await giveToInventory(user._id, item, copy);
+                throw creditError;
+            }
+        }
+
+        console.log(`Admin ${req.user.username} refunded ${item.name} (${amount} credits) to ${user.username}`);
+
+        res.json({ message: `Refunded ${item.name}`, refunded: amount, credits: user.credits });
+    } catch (error) {
+        console.error('Admin Refund Error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
 // @route   GET /api/admin/users
 // @desc    Get all users (paginated + search)
 // @access  Admin
@@ -431,6 +483,13 @@ router.put('/users/:id/verify', requireAdmin, async (req, res) => {
         user.isVerified = !user.isVerified;
         await user.save();
 
+        if (user.isVerified) {
+            await notify(user._id, 'account_verified', {
+                title: 'Your account has been verified',
+                data: { verifiedBy: req.user._id }
+            });
+        }
+
         // Check for automatic badges (Early Adopter)
         const { checkAutomaticBadges } = require('../services/badgeService');
         await checkAutomaticBadges(user._id);
@@ -442,6 +501,36 @@ router.put('/users/:id/verify', requireAdmin, async (req, res) => {
     }
 });
 
+// @route   PUT /api/admin/users/:id/ban
+// @desc    Toggle user ban (banned users can't sign in and are hidden from leaderboards)
+// @access  Admin
+router.put('/users/:id/ban', requireAdmin, async (req, res) => {
+    try {
+        const user = await User.findById(req.params.id);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        if (['admin', 'super_admin'].includes(user.role)) {
+            return res.status(403).json({ error: 'Admins cannot be banned' });
+        }
+
+        user.isBanned = !user.isBanned;
+        user.bannedAt = user.isBanned ? new Date() : null;
+        await user.save();
+
+        // Sign the user out everywhere
+        if (user.isBanned) {
+            await revokeAllSessions(user._id, null, 'banned');
+        }
+
+        res.json({ message: `User ${user.isBanned ? 'banned' : 'unbanned'}`, isBanned: user.isBanned });
+    } catch (error) {
+        console.error('Ban User Error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
 // @route   GET /api/admin/profiles
 // @desc    Get all profiles (paginated + search by username)
 // @access  Admin
@@ -497,7 +586,10 @@ router.get('/badges', requireAdmin, async (req, res) => {
 // @access  Super Admin
 router.post('/badges', requireSuperAdmin, async (req, res) => {
     try {
-        const { name, description, icon, color, rarity, category } = req.body;
+        const {
+            name, description, icon, color, rarity, category,
+            unlockType, unlockCriteria, isPremiumOnly, isLimitedEdition, availableUntil
+        } = req.body;
 
         const slug = name.toLowerCase().replace(/ /g, '-').replace(/[^\w-]+/g, '');
 
@@ -515,6 +607,11 @@ router.post('/badges', requireSuperAdmin, async (req, res) => {
             color,
             rarity,
             category,
+            unlockType,
+            unlockCriteria,
+            isPremiumOnly,
+            isLimitedEdition,
+            availableUntil,
             isSystem: false // Manual badges can never be system badges
         });
 
@@ -531,7 +628,10 @@ router.post('/badges', requireSuperAdmin, async (req, res) => {
 // @access  Super Admin
 router.put('/badges/:id', requireSuperAdmin, async (req, res) => {
     try {
-        const { name, description, icon, color, rarity, category } = req.body;
+        const {
+            name, description, icon, color, rarity, category,
+            unlockType, unlockCriteria, isActive, isPremiumOnly, isLimitedEdition, availableUntil
+        } = req.body;
 
         const badge = await Badge.findById(req.params.id);
         if (!badge) return res.status(404).json({ error: 'Badge not found' });
@@ -552,6 +652,12 @@ router.put('/badges/:id', requireSuperAdmin, async (req, res) => {
             if (color) badge.color = color;
             if (rarity) badge.rarity = rarity;
             if (category) badge.category = category;
+            if (unlockType) badge.unlockType = unlockType;
+            if (unlockCriteria) badge.unlockCriteria = unlockCriteria;
+            if (isActive !== undefined) badge.isActive = isActive;
+            if (isPremiumOnly !== undefined) badge.isPremiumOnly = isPremiumOnly;
+            if (isLimitedEdition !== undefined) badge.isLimitedEdition = isLimitedEdition;
+            if (availableUntil !== undefined) badge.availableUntil = availableUntil;
         }
 
         await badge.save();
@@ -563,7 +669,7 @@ router.put('/badges/:id', requireSuperAdmin, async (req, res) => {
 });
 
 // @route   DELETE /api/admin/badges/:id
-// @desc    Delete a badge
+// @desc    Delete a badge (and take it off every user and profile)
 // @access  Super Admin
 router.delete('/badges/:id', requireSuperAdmin, async (req, res) => {
     try {
@@ -574,6 +680,10 @@ router.delete('/badges/:id', requireSuperAdmin, async (req, res) => {
             return res.status(403).json({ error: 'System badges cannot be deleted' });
         }
 
+        // Remove the references first so profiles never populate a missing badge
+        await UserBadge.deleteMany({ badge: badge._id });
+        await User.updateMany({ badges: badge._id }, { $pull: { badges: badge._id } });
+        await Profile.updateMany({ displayedBadges: badge._id }, { $pull: { displayedBadges: badge._id } });
         await badge.deleteOne();
         res.json({ message: 'Badge removed' });
     } catch (error) {
@@ -595,11 +705,12 @@ router.post('/badges/assign', requireAdmin, async (req, res) => {
         const badge = await Badge.findById(badgeId);
         if (!badge) return res.status(404).json({ error: 'Badge not found' });
 
-        if (user.badges.includes(badgeId)) {
+        const { awardBadge } = require('../services/badgeService');
+        const added = await awardBadge(user, badge);
+        if (!added) {
             return res.status(400).json({ error: 'User already has this badge' });
         }
 
-        user.badges.push(badgeId);
         await user.save();
 
         res.json({ message: 'Badge assigned successfully', userBadges: user.badges });
@@ -611,16 +722,22 @@ router.post('/badges/assign', requireAdmin, async (req, res) => {
 
 
 // ---------------------------------------------------------------------
-// FRAME MANAGEMENT
+// STORE MANAGEMENT
 // ---------------------------------------------------------------------
-const Frame = require('../models/Frame');
+const StoreItem = require('../models/StoreItem');
+const CrateOpening = require('../models/CrateOpening');
+const { validateCrateMetadata } = require('../services/crateService');
+const { getRemainingStock } = require('../services/inventoryService');
+const { notifySales, notifyRestock } = require('../services/wishlistService');
+
+// Frames are store items (itemType 'frame'); these two routes are kept for older admin clients
 
 // @route   GET /api/admin/frames
 // @desc    Get all frames
 // @access  Admin
 router.get('/frames', requireAdmin, async (req, res) => {
     try {
-        const frames = await Frame.find().sort({ createdAt: -1 });
+        const frames = await StoreItem.find({ itemType: 'frame' }).sort({ createdAt: -1 });
         res.json(frames);
     } catch (error) {
         console.error('Get Frames Error:', error);
@@ -635,10 +752,10 @@ router.post('/frames', requireSuperAdmin, async (req, res) => {
     try {
         const { name, imageUrl, rarity, isPremium } = req.body;
 
-        const existing = await Frame.findOne({ name });
+        const existing = await StoreItem.findOne({ name });
         if (existing) return res.status(400).json({ error: 'Frame name exists' });
 
-        const frame = new Frame({ name, imageUrl, rarity, isPremium });
+        const frame = new StoreItem({ name, imageUrl, rarity, itemType: 'frame', type: isPremium ? 'premium' : 'free' });
         await frame.save();
         res.json(frame);
     } catch (error) {
@@ -647,10 +764,37 @@ router.post('/frames', requireSuperAdmin, async (req, res) => {
     }
 });
 
-// ---------------------------------------------------------------------
-// STORE MANAGEMENT
-// ---------------------------------------------------------------------
-const StoreItem = require('../models/StoreItem');
+// Validates limited-drop settings (stockTotal, maxPerUser, availableFrom/Until); null clears a setting
+const validateDropSettings = ({ stockTotal, maxPerUser, availableFrom, availableUntil }) => {
+    if (stockTotal !== undefined && stockTotal !== null && (!Number.isInteger(stockTotal) || stockTotal < 0)) {
+        return 'stockTotal must be a non-negative integer or null';
+    }
+    if (maxPerUser !== undefined && maxPerUser !== null && (!Number.isInteger(maxPerUser) || maxPerUser < 1)) {
+        return 'maxPerUser must be a positive integer or null';
+    }
+    for (const date of [availableFrom, availableUntil]) {
+        if (date && isNaN(new Date(date).getTime())) {
+            return 'Invalid availability date';
+        }
+    }
+    if (availableFrom && availableUntil && new Date(availableFrom) >= new Date(availableUntil)) {
+        return 'availableUntil must be after availableFrom';
+    }
+    return null;
+};
+
+// Bundles need 2+ existing members that aren't bundles or crates themselves
+const validateBundleItems = async (bundleItems) => {
+    if (!Array.isArray(bundleItems) || bundleItems.length < 2) {
+        return 'Bundles need at least 2 bundleItems';
+    }
+    const ids = [...new Set(bundleItems.map(String))];
+    if (ids.length !== bundleItems.length || ids.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+        return 'Invalid or duplicate bundle item IDs';
+    }
+    const members = await StoreItem.countDocuments({ _id: { $in: ids }, itemType: { $nin: ['bundle', 'crate'] } });
+    return members === ids.length ? null : 'Bundle items must be existing non-bundle, non-crate store items';
+};
 
 // @route   GET /api/admin/store-items
 // @desc    Get all store items
@@ -676,12 +820,32 @@ router.get('/store-items', requireAdmin, async (req, res) => {
 // @access  Super Admin
 router.post('/store-items', requireSuperAdmin, async (req, res) => {
     try {
-        const { name, imageUrl, rarity, type, price, itemType, metadata } = req.body;
+        const { name, imageUrl, rarity, type, price, itemType, metadata, isTradable, bundleItems, stockTotal, maxPerUser, availableFrom, availableUntil } = req.body;
+
+        const dropError = validateDropSettings(req.body);
+        if (dropError) return res.status(400).json({ error: dropError });
+
+        if (itemType === 'crate') {
+            const crateError = validateCrateMetadata(metadata);
+            if (crateError) return res.status(400).json({ error: crateError });
+        }
+
+        if (itemType === 'bundle') {
+            const bundleError = await validateBundleItems(bundleItems);
+            if (bundleError) return res.status(400).json({ error: bundleError });
+        }
 
         const existing = await StoreItem.findOne({ name });
         if (existing) return res.status(400).json({ error: 'Item name exists' });
 
-        const item = new StoreItem({ name, imageUrl, rarity, type, price, itemType, metadata });
+        const item = new StoreItem({
+            name, imageUrl, rarity, type, price, itemType, metadata, isTradable,
+            bundleItems: itemType === 'bundle' ? bundleItems : [],
+            stock: { total: stockTotal ?? null, sold: 0 },
+            maxPerUser: maxPerUser ?? null,
+            availableFrom: availableFrom || null,
+            availableUntil: availableUntil || null
+        });
         await item.save();
         res.json(item);
     } catch (error) {
@@ -695,15 +859,49 @@ router.post('/store-items', requireSuperAdmin, async (req, res) => {
 // @access  Super Admin
 router.put('/store-items/:id', requireSuperAdmin, async (req, res) => {
     try {
-        const { name, imageUrl, rarity, type, price, itemType, metadata, isActive } = req.body;
+        const { name, imageUrl, rarity, type, price, itemType, metadata, isActive, isTradable, bundleItems, stockTotal, maxPerUser, availableFrom, availableUntil } = req.body;
 
-        const item = await StoreItem.findByIdAndUpdate(
-            req.params.id,
-            { name, imageUrl, rarity, type, price, itemType, metadata, isActive },
-            { new: true }
-        );
+        const dropError = validateDropSettings(req.body);
+        if (dropError) return res.status(400).json({ error: dropError });
+
+        const isCrate = itemType === 'crate' ||
+            (itemType === undefined && metadata !== undefined && await StoreItem.exists({ _id: req.params.id, itemType: 'crate' }));
+        if (isCrate) {
+            const crateError = validateCrateMetadata(metadata);
+            if (crateError) return res.status(400).json({ error: crateError });
+        }
+
+        if (bundleItems !== undefined || itemType === 'bundle') {
+            const bundleError = await validateBundleItems(bundleItems);
+            if (bundleError) return res.status(400).json({ error: bundleError });
+        }
+
+        const update = { name, imageUrl, rarity, type, price, itemType, metadata, isActive, isTradable, bundleItems, maxPerUser, availableFrom, availableUntil };
+
+        // Stock can be raised or made unlimited, but not set below copies already sold
+        const filter = { _id: req.params.id };
+        let wasSoldOut = false;
+        if (stockTotal !== undefined) {
+            const current = await StoreItem.findById(req.params.id).select('stock');
+            wasSoldOut = Boolean(current) && getRemainingStock(current) === 0;
+            update['stock.total'] = stockTotal;
+            if (stockTotal !== null) filter['stock.sold'] = { $lte: stockTotal };
+        }
+
+        const item = await StoreItem.findOneAndUpdate(filter, update, { new: true, runValidators: true });
+
+        if (!item) {
+            const exists = await StoreItem.exists({ _id: req.params.id });
+            return exists
+                ? res.status(400).json({ error: 'stockTotal cannot be lower than copies already sold' })
+                : res.status(404).json({ error: 'Item not found' });
+        }
+
+        // Restocked: tell wishlisters (non-blocking)
+        if (wasSoldOut && getRemainingStock(item) !== 0) {
+            notifyRestock(item).catch(err => console.error('Wishlist restock alert error:', err));
+        }
 
-        if (!item) return res.status(404).json({ error: 'Item not found' });
         res.json(item);
     } catch (error) {
         console.error('Update Store Item Error:', error);
@@ -724,10 +922,288 @@ router.delete('/store-items/:id', requireSuperAdmin, async (req, res) => {
     }
 });
 
+// @route   GET /api/admin/crate-openings
+// @desc    Crate roll audit log (?user=&crate=, paginated)
+// @access  Admin
+router.get('/crate-openings', requireAdmin, async (req, res) => {
+    try {
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+
+        const query = {};
+        if (req.query.user) query.user = req.query.user;
+        if (req.query.crate) query.crate = req.query.crate;
+
+        const [openings, total] = await Promise.all([
+            CrateOpening.find(query)
+                .sort({ createdAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit)
+                .populate('user', 'username')
+                .populate('crate', 'name')
+                .populate('item', 'name rarity'),
+            CrateOpening.countDocuments(query)
+        ]);
+
+        res.json({
+            openings,
+            totalPages: Math.ceil(total / limit),
+            currentPage: page,
+            totalOpenings: total
+        });
+    } catch (error) {
+        console.error('Get Crate Openings Error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// ---------------------------------------------------------------------
+// STORE SALES & COUPONS
+// ---------------------------------------------------------------------
+const Sale = require('../models/Sale');
+const Coupon = require('../models/Coupon');
+
+// Shared validation for sale/coupon discounts
+const validateDiscount = ({ discountType, discountValue }) => {
+    if (!['percentage', 'fixed'].includes(discountType)) return 'discountType must be percentage or fixed';
+    if (typeof discountValue !== 'number' || discountValue <= 0) return 'discountValue must be a positive number';
+    if (discountType === 'percentage' && discountValue > 100) return 'Percentage discount cannot exceed 100';
+    return null;
+};
+
+// @route   GET /api/admin/store-items/sales
+// @desc    Get all sales (?status=active|upcoming|ended)
+// @access  Admin
+router.get('/store-items/sales', requireAdmin, async (req, res) => {
+    try {
+        const now = new Date();
+        const query = {};
+        if (req.query.status === 'active') Object.assign(query, { isActive: true, startsAt: { $lte: now }, endsAt: { $gt: now } });
+        if (req.query.status === 'upcoming') query.startsAt = { $gt: now };
+        if (req.query.status === 'ended') query.endsAt = { $lte: now };
+
+        const sales = await Sale.find(query).populate('items', 'name itemType rarity price').sort({ startsAt: -1 });
+        res.json(sales);
+    } catch (error) {
+        console.error('Get Sales Error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// @route   POST /api/admin/store-items/sales
+// @desc    Create a sale (per item, itemType or rarity)
+// @access  Super Admin
+router.post('/store-items/sales', requireSuperAdmin, async (req, res) => {
+    try {
+        const { name, items, itemTypes, rarities, discountType, discountValue, startsAt, endsAt } = req.body;
+
+        const discountError = validateDiscount(req.body);
+        if (discountError) return res.status(400).json({ error: discountError });
+
+        if (!name || !startsAt || !endsAt || new Date(endsAt) <= new Date(startsAt)) {
+            return res.status(400).json({ error: 'Name and a valid start/end window are required' });
+        }
+
+        const sale = new Sale({
+            name, items, itemTypes, rarities, discountType, discountValue, startsAt, endsAt,
+            createdBy: req.user._id
+        });
+        await sale.save();
+
+        // Wishlist alerts if it's already running; scheduled sales are handled by the alerts job
+        notifySales([sale]).catch(err => console.error('Wishlist sale alert error:', err));
+
+        res.json(sale);
+    } catch (error) {
+        console.error('Create Sale Error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// @route   PUT /api/admin/store-items/sales/:id
+// @desc    Update a sale
+// @access  Super Admin
+router.put('/store-items/sales/:id', requireSuperAdmin, async (req, res) => {
+    try {
+        const { name, items, itemTypes, rarities, discountType, discountValue, startsAt, endsAt, isActive } = req.body;
+
+        const sale = await Sale.findById(req.params.id);
+        if (!sale) return res.status(404).json({ error: 'Sale not found' });
+
+        if (name !== undefined) sale.name = name;
+        if (items !== undefined) sale.items = items;
+        if (itemTypes !== undefined) sale.itemTypes = itemTypes;
+        if (rarities !== undefined) sale.rarities = rarities;
+        if (discountType !== undefined) sale.discountType = discountType;
+        if (discountValue !== undefined) sale.discountValue = discountValue;
+        if (startsAt !== undefined) sale.startsAt = startsAt;
+        if (endsAt !== undefined) sale.endsAt = endsAt;
+        if (isActive !== undefined) sale.isActive = isActive;
+
+        const discountError = validateDiscount(sale);
+        if (discountError) return res.status(400).json({ error: discountError });
+
+        if (!sale.name || !(sale.endsAt > sale.startsAt)) {
+            return res.status(400).json({ error: 'Name and a valid start/end window are required' });
+        }
+
+        await sale.save();
+
+        notifySales([sale]).catch(err => console.error('Wishlist sale alert error:', err));
+
+        res.json(sale);
+    } catch (error) {
+        console.error('Update Sale Error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// @route   DELETE /api/admin/store-items/sales/:id
+// @desc    Delete a sale
+// @access  Super Admin
+router.delete('/store-items/sales/:id', requireSuperAdmin, async (req, res) => {
+    try {
+        await Sale.findByIdAndDelete(req.params.id);
+        res.json({ message: 'Sale deleted' });
+    } catch (error) {
+        console.error('Delete Sale Error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// @route   GET /api/admin/store-items/coupons
+// @desc    Get all coupons
+// @access  Admin
+router.get('/store-items/coupons', requireAdmin, async (req, res) => {
+    try {
+        const coupons = await Coupon.find().select('-redeemedBy').sort({ createdAt: -1 });
+        res.json(coupons);
+    } catch (error) {
+        console.error('Get Coupons Error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// @route   POST /api/admin/store-items/coupons
+// @desc    Create a coupon code
+// @access  Super Admin
+router.post('/store-items/coupons', requireSuperAdmin, async (req, res) => {
+    try {
+        const { code, description, items, itemTypes, rarities, discountType, discountValue, maxUses, startsAt, expiresAt } = req.body;
+
+        const discountError = validateDiscount(req.body);
+        if (discountError) return res.status(400).json({ error: discountError });
+
+        if (!code || !/^[A-Za-z0-9_-]{3,32}$/.test(code)) {
+            return res.status(400).json({ error: 'Code must be 3-32 letters, numbers, dashes or underscores' });
+        }
+
+        const existing = await Coupon.findOne({ code: code.toUpperCase() });
+        if (existing) return res.status(400).json({ error: 'Coupon code exists' });
+
+        const coupon = new Coupon({
+            code, description, items, itemTypes, rarities, discountType, discountValue,
+            maxUses: maxUses || null,
+            startsAt,
+            expiresAt,
+            createdBy: req.user._id
+        });
+        await coupon.save();
+        res.json(coupon);
+    } catch (error) {
+        console.error('Create Coupon Error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// @route   PUT /api/admin/store-items/coupons/:id
+// @desc    Update a coupon (code and usage count are locked)
+// @access  Super Admin
+router.put('/store-items/coupons/:id', requireSuperAdmin, async (req, res) => {
+    try {
+        const { description, items, itemTypes, rarities, discountType, discountValue, maxUses, startsAt, expiresAt, isActive } = req.body;
+
+        const coupon = await Coupon.findById(req.params.id);
+        if (!coupon) return res.status(404).json({ error: 'Coupon not found' });
+
+        if (description !== undefined) coupon.description = description;
+        if (items !== undefined) coupon.items = items;
+        if (itemTypes !== undefined) coupon.itemTypes = itemTypes;
+        if (rarities !== undefined) coupon.rarities = rarities;
+        if (discountType !== undefined) coupon.discountType = discountType;
+        if (discountValue !== undefined) coupon.discountValue = discountValue;
+        if (maxUses !== undefined) coupon.maxUses = maxUses || null;
+        if (startsAt !== undefined) coupon.startsAt = startsAt;
+        if (expiresAt !== undefined) coupon.expiresAt = expiresAt;
+        if (isActive !== undefined) coupon.isActive = isActive;
+
+        const discountError = validateDiscount(coupon);
+        if (discountError) return res.status(400).json({ error: discountError });
+
+        await coupon.save();
+        res.json(coupon);
+    } catch (error) {
+        console.error('Update Coupon Error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// @route   DELETE /api/admin/store-items/coupons/:id
+// @desc    Delete a coupon
+// @access  Super Admin
+router.delete('/store-items/coupons/:id', requireSuperAdmin, async (req, res) => {
+    try {
+        await Coupon.findByIdAndDelete(req.params.id);
+        res.json({ message: 'Coupon deleted' });
+    } catch (error) {
+        console.error('Delete Coupon Error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
 // ---------------------------------------------------------------------
 // SYSTEM CONFIGURATION
 // ---------------------------------------------------------------------
 
+// Numeric settings that can be edited per section, with their allowed [min, max]
+const CONFIG_RANGES = {
+    gifting: {
+        dailyCreditLimit: [0, 1000000],
+        dailyGiftCount: [0, 1000],
+        minAccountAgeDays: [0, 365],
+        referralCooldownDays: [0, 365]
+    },
+    store: {
+        refundWindowHours: [0, 720],
+        sellBackPercent: [0, 100]
+    },
+    marketplace: {
+        feePercent: [0, 100],
+        minPrice: [1, 1000000000],
+        maxPrice: [1, 1000000000],
+        maxActiveListings: [1, 1000]
+    },
+    trading: {
+        offerExpiryHours: [1, 720],
+        maxItemsPerSide: [1, 100],
+        maxPendingOffers: [1, 1000]
+    }
+};
+
+// Checks one section of a config update against CONFIG_RANGES (unknown keys are rejected)
+const validateConfigSection = (section, values) => {
+    if (!values || typeof values !== 'object' || Array.isArray(values)) return `${section} must be an object`;
+
+    for (const [key, value] of Object.entries(values)) {
+        const range = CONFIG_RANGES[section][key];
+        if (!range) return `Unknown setting ${section}.${key}`;
+        if (typeof value !== 'number' || !Number.isFinite(value) || value < range[0] || value > range[1]) {
+            return `${section}.${key} must be a number between ${range[0]} and ${range[1]}`;
+        }
+    }
+    return null;
+};
+
 // @route   GET /api/admin/config
 // @desc    Get full system configuration
 // @access  Super Admin
@@ -745,7 +1221,20 @@ router.get('/config', requireSuperAdmin, async (req, res) => {
 // @access  Super Admin
 router.put('/config', requireSuperAdmin, async (req, res) => {
     try {
-        const { serverInviteLink, botInviteLink, announcement, botApiUrl, primaryGuildId } = req.body;
+        const { serverInviteLink, botInviteLink, announcement, botApiUrl, primaryGuildId, gifting, store, marketplace, trading, security } = req.body;
+
+        for (const [section, values] of Object.entries({ gifting, store, marketplace, trading })) {
+            if (values === undefined) continue;
+            const configError = validateConfigSection(section, values);
+            if (configError) return res.status(400).json({ error: configError });
+        }
+        if (security !== undefined) {
+            const keys = Object.keys(security || {});
+            if (!security || keys.some(key => key !== 'requireAdminTwoFactor') || (keys.length && typeof security.requireAdminTwoFactor !== 'boolean')) {
+                return res.status(400).json({ error: 'security only accepts requireAdminTwoFactor (boolean)' });
+            }
+        }
+
         const config = await SystemConfig.getOrCreate();
 
         if (serverInviteLink !== undefined) config.serverInviteLink = serverInviteLink;
@@ -753,6 +1242,29 @@ router.put('/config', requireSuperAdmin, async (req, res) => {
         if (announcement !== undefined) config.announcement = announcement;
         if (botApiUrl !== undefined) config.botApiUrl = botApiUrl;
         if (primaryGuildId !== undefined) config.primaryGuildId = primaryGuildId;
+        if (gifting !== undefined) {
+            Object.keys(gifting).forEach(key => config.set(`gifting.${key}`, gifting[key]));
+        }
+        if (store !== undefined) {
+            Object.keys(store).forEach(key => config.set(`store.${key}`, store[key]));
+        }
+        if (marketplace !== undefined) {
+            Object.keys(marketplace).forEach(key => config.set(`marketplace.${key}`, marketplace[key]));
+        }
+        if (trading !== undefined) {
+            Object.keys(trading).forEach(key => config.set(`trading.${key}`, trading[key]));
+        }
+        if (security !== undefined) {
+            // Don't let a super admin lock themselves out of the admin panel
+            if (security.requireAdminTwoFactor && !req.user.twoFactor?.enabled) {
+                return res.status(400).json({ error: 'Enable two-factor authentication on your own account first' });
+            }
+            Object.keys(security).forEach(key => config.set(`security.${key}`, security[key]));
+        }
+
+        if (config.marketplace.minPrice > config.marketplace.maxPrice) {
+            return res.status(400).json({ error: 'marketplace.minPrice cannot exceed marketplace.maxPrice' });
+        }
         config.updatedBy = req.user._id;
 
         await config.save();
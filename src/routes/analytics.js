@@ -1,25 +1,26 @@
 const express = require('express');
 const router = express.Router();
-const geoip = require('geoip-lite');
 const device = require('express-device');
 const VisitSession = require('../models/VisitSession');
 const Profile = require('../models/Profile');
 const { auth: requireAuth } = require('../middleware/auth'); // Importing 'auth' as 'requireAuth'
+const { getClientIp, getCountryFromIp } = require('../utils/requestInfo');
+const { rateLimit } = require('../middleware/rateLimit');
+
+// Stops view counters from being inflated by replaying /start
+const startLimiter = rateLimit({
+    name: 'analytics-start',
+    windowMs: 10 * 60 * 1000,
+    max: 20,
+    keyGenerator: (req) => `${req.ip}:${req.body?.profileId || ''}`
+});
 
-// Helper to anonymize IP (optional, but good practice)
 // For V1, we just use the IP for Geo lookup then discard it, identifying users by visitorId token
-const getCountryFromIp = (ip) => {
-    // Handle localhost/ipv6 loopback
-    if (ip === '::1' || ip === '127.0.0.1') return { country: 'Local', code: 'LO' };
-
-    const geo = geoip.lookup(ip);
-    return geo ? { country: geo.country, code: geo.country } : { country: 'Unknown', code: 'UN' };
-};
 
 // @route   POST /api/analytics/start
 // @desc    Start a new tracking session (Called when user clicks "Enter")
 // @access  Public
-router.post('/start', async (req, res) => {
+router.post('/start', startLimiter, async (req, res) => {
     try {
         const { profileId, visitorId, referrer } = req.body;
 
@@ -34,16 +35,7 @@ router.post('/start', async (req, res) => {
         const deviceType = req.device ? req.device.type : 'desktop';
 
         // Geo Location
-        let ip = req.headers['x-forwarded-for'] || req.socket.remoteAddress || '';
-        if (ip.includes(',')) {
-            ip = ip.split(',')[0].trim();
-        }
-        // Clean IPv6 prefix if present
-        if (ip.startsWith('::ffff:')) {
-            ip = ip.substring(7);
-        }
-
-        const { country, code } = getCountryFromIp(ip);
+        const { country, code } = getCountryFromIp(getClientIp(req));
 
         // Create Session
         const session = new VisitSession({
@@ -1,17 +1,56 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
-const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
 const User = require('../models/User');
 const Profile = require('../models/Profile');
+const Session = require('../models/Session');
+const AuthToken = require('../models/AuthToken');
+const AuthCode = require('../models/AuthCode');
+const Listing = require('../models/Listing');
+const Trade = require('../models/Trade');
 const { auth } = require('../middleware/auth');
+const { createSession, rotateSession, revokeSession, revokeAllSessions } = require('../services/sessionService');
+const { issueToken, consumeToken } = require('../services/authTokenService');
+const { sendVerificationEmail, sendPasswordResetEmail, sendPasswordChangedEmail } = require('../services/mailService');
+const { issueChallenge, verifyChallenge, verifyCode } = require('../services/twoFactorService');
+const { rateLimit, countHit, getLockout, recordFailure, clearFailures } = require('../middleware/rateLimit');
+const {
+    NONCE_COOKIE,
+    STATE_TTL_MS,
+    createDiscordAuthorization,
+    consumeDiscordState,
+    issueAuthCode,
+    findAuthCode,
+    consumeAuthCode
+} = require('../services/oauthService');
+const { getCookie } = require('../utils/requestInfo');
 
 const router = express.Router();
 
 const axios = require('axios');
 
-// Generate JWT token
-const generateToken = (userId) => {
-    return jwt.sign({ userId }, process.env.JWT_SECRET, { expiresIn: '7d' });
+// Rate limits
+const loginIpLimiter = rateLimit({ name: 'login-ip', windowMs: 15 * 60 * 1000, max: 20, message: 'Too many login attempts, please try again later' });
+// Account-wide cap on failed logins across all IPs. It's a soft limit: past it, wrong passwords get a 429,
+// but the correct password still logs in, so failures from strangers can't lock the owner out.
+const LOGIN_ACCOUNT_WINDOW_MS = 15 * 60 * 1000;
+const LOGIN_ACCOUNT_MAX_FAILURES = 50;
+const registerLimiter = rateLimit({ name: 'register', windowMs: 60 * 60 * 1000, max: 5, message: 'Too many accounts created, please try again later' });
+const emailLimiter = rateLimit({ name: 'auth-email', windowMs: 60 * 60 * 1000, max: 5, message: 'Too many emails requested, please try again later' });
+const resetEmailLimiter = rateLimit({
+    name: 'reset-email',
+    windowMs: 60 * 60 * 1000,
+    max: 3,
+    keyGenerator: (req) => (typeof req.body.email === 'string' ? req.body.email : null),
+    message: 'Too many emails requested, please try again later'
+});
+
+// Progressive lockout key: per account and IP, so failures from one client don't lock the account everywhere
+const getLoginLockKey = (email, req) => `login:${email}:${req.ip}`;
+
+const lockedResponse = (res, retryAfter) => {
+    res.set('Retry-After', String(retryAfter));
+    return res.status(429).json({ error: 'Too many failed attempts, account temporarily locked', retryAfter });
 };
 
 // Discord Constants
@@ -28,6 +67,7 @@ if (!REDIRECT_URI) {
 // @access  Public
 router.post(
     '/register',
+    registerLimiter,
     [
         body('email')
             .trim()
@@ -107,17 +147,22 @@ router.post(
             // Create profile
             await new Profile({ user: user._id }).save();
 
+            // Confirm the email address (non-blocking)
+            issueToken(user, 'email_verification')
+                .then(token => sendVerificationEmail(user, token))
+                .catch(err => console.error('Verification email error:', err));
+
             // Process referral rewards if exists
             if (referrer) {
                 // Add referral to referrer's list
                 await referrer.addReferral(user._id, referralCode);
 
                 // Grant rewards to referee (new user)
-                await user.addXP(50); // Bonus XP
+                await user.addXP(50, 'signup_bonus', 'Referral signup bonus', { kind: 'User', item: referrer._id }); // Bonus XP
                 await user.addCredits(25, 'signup_bonus', 'Referral signup bonus');
 
                 // Grant rewards to referrer
-                await referrer.addXP(100); // Referral XP
+                await referrer.addXP(100, 'referral', `Referred ${user.username}`, { kind: 'User', item: user._id }); // Referral XP
                 await referrer.addCredits(50, 'referral', `Referred ${user.username}`);
 
                 // Check for referral milestone badges
@@ -125,15 +170,17 @@ router.post(
                 await checkReferralBadges(referrer._id);
             }
 
-            // Token
-            const token = generateToken(user._id);
+            // Tokens
+            const { accessToken, refreshToken } = await createSession(user, req);
 
             res.status(201).json({
                 message: 'Account created successfully',
-                token,
+                token: accessToken,
+                refreshToken,
                 user: {
                     id: user._id,
                     email: user.email,
+                    emailVerified: user.emailVerified,
                     username: user.username,
                     displayName: user.displayName,
                     level: user.level,
@@ -148,10 +195,47 @@ router.post(
 );
 
 
+// Starts a session for a user who passed every login step and sends the login response
+const completeLogin = async (user, req, res, sessionOptions = {}) => {
+    if (user.isBanned) {
+        return res.status(403).json({ error: 'This account has been banned' });
+    }
+
+    // Update last login
+    user.lastLoginAt = new Date();
+    await user.save();
+
+    // Generate tokens
+    const { accessToken, refreshToken } = await createSession(user, req, sessionOptions);
+
+    res.json({
+        token: accessToken,
+        refreshToken,
+        user: {
+            id: user._id,
+            email: user.email,
+            emailVerified: user.emailVerified,
+            username: user.username,
+            displayName: user.displayName,
+            tag: user.tag,
+            level: user.level,
+            xp: user.xp,
+            role: user.role,
+            isPremium: user.isPremium,
+            onboardingCompleted: user.onboardingCompleted,
+            twoFactorEnabled: Boolean(user.twoFactor?.enabled),
+            discord: user.discord ? {
+                username: user.discord.username,
+                avatar: user.discord.avatar
+            } : null
+        }
+    });
+};
+
 // @route   POST /api/auth/login
-// @desc    Login user
+// @desc    Login user (returns a 2FA challenge instead of tokens when 2FA is enabled)
 // @access  Public
-router.post('/login', [
+router.post('/login', loginIpLimiter, [
     body('email').isEmail().normalizeEmail(),
     body('password').exists()
 ], async (req, res) => {
@@ -162,56 +246,340 @@ router.post('/login', [
         }
 
         const { email, password } = req.body;
+        const lockKey = getLoginLockKey(email, req);
+
+        const lockedFor = await getLockout(lockKey);
+        if (lockedFor) {
+            return lockedResponse(res, lockedFor);
+        }
 
         // Find user
         const user = await User.findOne({ email });
-        if (!user) {
-            return res.status(401).json({ error: 'Invalid credentials' });
-        }
 
-        // Check password
-        const isMatch = await user.comparePassword(password);
+        // Check password (unknown emails count as failures too)
+        const isMatch = user ? await user.comparePassword(password) : false;
         if (!isMatch) {
+            const lockedNow = await recordFailure(lockKey);
+            if (lockedNow) {
+                return lockedResponse(res, lockedNow);
+            }
+
+            const accountFailures = await countHit(`login-account:${email}`, LOGIN_ACCOUNT_WINDOW_MS);
+            if (accountFailures.count > LOGIN_ACCOUNT_MAX_FAILURES) {
+                res.set('Retry-After', String(accountFailures.retryAfter));
+                return res.status(429).json({ error: 'Too many login attempts, please try again later', retryAfter: accountFailures.retryAfter });
+            }
             return res.status(401).json({ error: 'Invalid credentials' });
         }
 
-        // Update last login
-        user.lastLoginAt = new Date();
-        await user.save();
+        await clearFailures(lockKey);
 
-        // Generate token
-        const token = generateToken(user._id);
+        // Second step: the client exchanges the challenge and a code at /login/2fa
+        if (user.twoFactor?.enabled) {
+            return res.json({ twoFactorRequired: true, challengeToken: issueChallenge(user._id) });
+        }
 
-        res.json({
-            token,
-            user: {
-                id: user._id,
-                email: user.email,
-                username: user.username,
-                displayName: user.displayName,
-                tag: user.tag,
-                level: user.level,
-                xp: user.xp,
-                role: user.role,
-                isPremium: user.isPremium,
-                onboardingCompleted: user.onboardingCompleted,
-                discord: user.discord ? {
-                    username: user.discord.username,
-                    avatar: user.discord.avatar
-                } : null
-            }
-        });
+        await completeLogin(user, req, res);
     } catch (error) {
         console.error('Login error:', error);
         res.status(500).json({ error: 'Server error' });
     }
 });
 
+// @route   POST /api/auth/login/2fa
+// @desc    Finish a login with the challenge token and a TOTP or backup code
+// @access  Public
+router.post('/login/2fa', loginIpLimiter, [
+    body('challengeToken').isString().notEmpty(),
+    body('code').isString().notEmpty()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const userId = verifyChallenge(req.body.challengeToken);
+        if (!userId) {
+            return res.status(401).json({ error: 'Login challenge expired, please log in again' });
+        }
+
+        const lockKey = `2fa:${userId}`;
+        const lockedFor = await getLockout(lockKey);
+        if (lockedFor) {
+            return lockedResponse(res, lockedFor);
+        }
+
+        const method = await verifyCode(userId, req.body.code);
+        if (!method) {
+            const lockedNow = await recordFailure(lockKey);
+            if (lockedNow) {
+                return lockedResponse(res, lockedNow);
+            }
+            return res.status(401).json({ error: 'Invalid two-factor code' });
+        }
+
+        await clearFailures(lockKey);
+
+        const user = await User.findById(userId);
+        if (!user) {
+            return res.status(401).json({ error: 'Invalid credentials' });
+        }
+
+        await completeLogin(user, req, res, { twoFactorVerified: true });
+    } catch (error) {
+        console.error('2FA login error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new access token (the refresh token is rotated)
+// @access  Public
+router.post('/refresh', async (req, res) => {
+    try {
+        const { refreshToken } = req.body;
+        if (!refreshToken) {
+            return res.status(400).json({ error: 'Refresh token is required' });
+        }
+
+        const result = await rotateSession(refreshToken, req);
+        if (result.error) {
+            return res.status(401).json({ error: result.error });
+        }
+
+        res.json({ token: result.accessToken, refreshToken: result.refreshToken });
+    } catch (error) {
+        console.error('Refresh token error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
 // @route   POST /api/auth/logout
-// @desc    Logout user (client-side token removal)
+// @desc    Logout user (revokes the current session)
+// @access  Private
+router.post('/logout', auth, async (req, res) => {
+    try {
+        await revokeSession(req.user._id, req.sessionId, 'logout');
+        res.json({ message: 'Logged out successfully' });
+    } catch (error) {
+        console.error('Logout error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// @route   GET /api/auth/sessions
+// @desc    List my active sessions (device, country, last used)
 // @access  Private
-router.post('/logout', auth, (req, res) => {
-    res.json({ message: 'Logged out successfully' });
+router.get('/sessions', auth, async (req, res) => {
+    try {
+        const sessions = await Session.find({
+            user: req.user._id,
+            revokedAt: null,
+            expiresAt: { $gt: new Date() }
+        }).sort({ lastUsedAt: -1 });
+
+        res.json(sessions.map(session => ({
+            id: session._id,
+            userAgent: session.userAgent,
+            deviceType: session.deviceType,
+            country: session.country,
+            createdAt: session.createdAt,
+            lastUsedAt: session.lastUsedAt,
+            expiresAt: session.expiresAt,
+            current: session._id.equals(req.sessionId)
+        })));
+    } catch (error) {
+        console.error('Get sessions error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// @route   DELETE /api/auth/sessions
+// @desc    Log out everywhere else (revokes all my sessions except this one)
+// @access  Private
+router.delete('/sessions', auth, async (req, res) => {
+    try {
+        const revoked = await revokeAllSessions(req.user._id, req.sessionId);
+        res.json({ message: 'Other sessions revoked', revoked });
+    } catch (error) {
+        console.error('Revoke all sessions error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// @route   DELETE /api/auth/sessions/:id
+// @desc    Revoke one of my sessions
+// @access  Private
+router.delete('/sessions/:id', auth, async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+
+        const revoked = await revokeSession(req.user._id, req.params.id);
+        if (!revoked) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+
+        res.json({ message: 'Session revoked' });
+    } catch (error) {
+        console.error('Revoke session error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// @route   POST /api/auth/verify-email
+// @desc    Confirm the email address with the token from the verification email
+// @access  Public
+router.post('/verify-email', async (req, res) => {
+    try {
+        const record = await consumeToken(req.body.token, 'email_verification');
+        if (!record) {
+            return res.status(400).json({ error: 'Invalid or expired verification link' });
+        }
+
+        // Only counts if the address hasn't changed since the email was sent
+        const user = await User.findOneAndUpdate(
+            { _id: record.user, email: record.email },
+            { $set: { emailVerified: true, emailVerifiedAt: new Date() } },
+            { new: true }
+        );
+        if (!user) {
+            return res.status(400).json({ error: 'Invalid or expired verification link' });
+        }
+
+        res.json({ message: 'Email verified', emailVerified: true });
+    } catch (error) {
+        console.error('Verify email error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// @route   POST /api/auth/verify-email/resend
+// @desc    Send a new verification email
+// @access  Private
+router.post('/verify-email/resend', auth, emailLimiter, async (req, res) => {
+    try {
+        if (req.user.emailVerified) {
+            return res.status(400).json({ error: 'Email is already verified' });
+        }
+
+        const token = await issueToken(req.user, 'email_verification');
+        const sent = await sendVerificationEmail(req.user, token);
+        if (!sent) {
+            return res.status(502).json({ error: 'Could not send the verification email, try again later' });
+        }
+
+        res.json({ message: 'Verification email sent' });
+    } catch (error) {
+        console.error('Resend verification error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// @route   POST /api/auth/forgot-password
+// @desc    Email a password reset link (same response whether or not the account exists)
+// @access  Public
+router.post('/forgot-password', emailLimiter, [
+    body('email').isEmail().normalizeEmail()
+], resetEmailLimiter, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const user = await User.findOne({ email: req.body.email });
+        if (user && !user.isBanned) {
+            // Non-blocking so the response time doesn't reveal whether the account exists
+            issueToken(user, 'password_reset')
+                .then(token => sendPasswordResetEmail(user, token))
+                .catch(err => console.error('Password reset email error:', err));
+        }
+
+        res.json({ message: 'If an account exists for that email, a reset link has been sent' });
+    } catch (error) {
+        console.error('Forgot password error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password with the token from the reset email (signs out every session)
+// @access  Public
+router.post('/reset-password', [
+    body('token').isString().notEmpty(),
+    body('password')
+        .isLength({ min: 6 })
+        .withMessage('Password must be at least 6 characters')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const record = await consumeToken(req.body.token, 'password_reset');
+        const user = record ? await User.findOne({ _id: record.user, email: record.email }) : null;
+        if (!user) {
+            return res.status(400).json({ error: 'Invalid or expired reset link' });
+        }
+
+        user.password = req.body.password;
+        // The reset link reached this inbox, so the address is confirmed
+        if (!user.emailVerified) {
+            user.emailVerified = true;
+            user.emailVerifiedAt = new Date();
+        }
+        await user.save();
+
+        await revokeAllSessions(user._id, null, 'password_changed');
+        sendPasswordChangedEmail(user).catch(err => console.error('Password changed email error:', err));
+
+        res.json({ message: 'Password has been reset, please log in again' });
+    } catch (error) {
+        console.error('Reset password error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// @route   PUT /api/auth/password
+// @desc    Change my password (signs out my other sessions)
+// @access  Private
+router.put('/password', auth, [
+    body('currentPassword').exists(),
+    body('newPassword')
+        .isLength({ min: 6 })
+        .withMessage('Password must be at least 6 characters')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const { currentPassword, newPassword } = req.body;
+        const user = await User.findById(req.user._id);
+
+        if (!(await user.comparePassword(currentPassword))) {
+            return res.status(401).json({ error: 'Current password is incorrect' });
+        }
+        if (currentPassword === newPassword) {
+            return res.status(400).json({ error: 'New password must be different' });
+        }
+
+        user.password = newPassword;
+        await user.save();
+
+        const revoked = await revokeAllSessions(user._id, req.sessionId, 'password_changed');
+        sendPasswordChangedEmail(user).catch(err => console.error('Password changed email error:', err));
+
+        res.json({ message: 'Password changed', sessionsRevoked: revoked });
+    } catch (error) {
+        console.error('Change password error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
 });
 
 // @route   GET /api/auth/me
@@ -236,6 +604,7 @@ router.get('/me', auth, async (req, res) => {
             user: {
                 id: user._id,
                 email: user.email,
+                emailVerified: user.emailVerified,
                 username: user.username,
                 displayName: user.displayName,
                 tag: user.tag,
@@ -245,6 +614,7 @@ router.get('/me', auth, async (req, res) => {
                 role: user.role,
                 isPremium: user.isPremium,
                 onboardingCompleted: user.onboardingCompleted,
+                twoFactorEnabled: Boolean(user.twoFactor?.enabled),
                 discord: user.discord ? {
                     id: user.discord.id,
                     username: user.discord.username,
@@ -297,23 +667,128 @@ router.post('/discord/unlink', auth, async (req, res) => {
     }
 });
 
+// Exchanges the authorization code (with the PKCE verifier) and loads the Discord profile
+const fetchDiscordProfile = async (code, codeVerifier) => {
+    // Exchange code for token
+    const tokenResponse = await axios.post('https://discord.com/api/oauth2/token',
+        new URLSearchParams({
+            client_id: CLIENT_ID,
+            client_secret: CLIENT_SECRET,
+            grant_type: 'authorization_code',
+            code: code,
+            redirect_uri: REDIRECT_URI,
+            code_verifier: codeVerifier
+        }), {
+        headers: {
+            'Content-Type': 'application/x-www-form-urlencoded'
+        }
+    });
+
+    const { access_token, refresh_token } = tokenResponse.data;
+
+    // Get user data
+    const userResponse = await axios.get('https://discord.com/api/users/@me', {
+        headers: {
+            Authorization: `Bearer ${access_token}`
+        }
+    });
+
+    const discordUser = userResponse.data;
+
+    // Construct Discord asset URLs
+    const avatarUrl = discordUser.avatar
+        ? `https://cdn.discordapp.com/avatars/${discordUser.id}/${discordUser.avatar}.${discordUser.avatar.startsWith('a_') ? 'gif' : 'png'}?size=512`
+        : null;
+
+    const bannerUrl = discordUser.banner
+        ? `https://cdn.discordapp.com/banners/${discordUser.id}/${discordUser.banner}.${discordUser.banner.startsWith('a_') ? 'gif' : 'png'}?size=1024`
+        : null;
+
+    const decorationUrl = discordUser.avatar_decoration_data?.asset
+        ? `https://cdn.discordapp.com/avatar-decoration-presets/${discordUser.avatar_decoration_data.asset}.png`
+        : null;
+
+    const discordData = {
+        id: discordUser.id,
+        username: discordUser.username,
+        avatar: discordUser.avatar,
+        avatarUrl: avatarUrl,
+        banner: discordUser.banner,
+        bannerUrl: bannerUrl,
+        bannerColor: discordUser.banner_color,
+        decoration: discordUser.avatar_decoration,
+        decorationUrl: decorationUrl,
+        profileEffectId: discordUser.profile_effect_id,
+        accessToken: access_token,
+        refreshToken: refresh_token,
+        connectedAt: new Date()
+    };
+
+    return { discordUser, discordData };
+};
+
+// Ties a Discord state to this browser so an authorize URL can't be finished in someone else's.
+// The link flow sets it from a cross-site XHR, which needs SameSite=None (and so Secure) in production.
+const setNonceCookie = (res, nonce, { crossSite = false } = {}) => {
+    const production = process.env.NODE_ENV === 'production';
+    res.cookie(NONCE_COOKIE, nonce, {
+        httpOnly: true,
+        secure: production,
+        sameSite: crossSite && production ? 'none' : 'lax',
+        maxAge: STATE_TTL_MS
+    });
+};
+
+const discordConfigMissing = (res) => res.status(500).json({
+    error: 'Discord configuration missing',
+    details: 'REDIRECT_URI is not configured on the server.'
+});
+
 // @route   GET /api/auth/discord
-// @desc    Redirect to Discord OAuth
-// @access  Public (can include token in state for connecting)
-router.get('/discord', (req, res) => {
-    const { token } = req.query; // Optional token for connecting
-    const state = token || 'login';
+// @desc    Redirect to Discord OAuth to log in or sign up
+// @access  Public
+router.get('/discord', async (req, res) => {
+    if (!REDIRECT_URI) {
+        return discordConfigMissing(res);
+    }
 
+    // Tokens in URLs leak through history and logs; connecting goes through POST /discord/link
+    if (req.query.token) {
+        return res.status(400).json({ error: 'To connect Discord to your account use POST /api/auth/discord/link' });
+    }
+
+    try {
+        const { url, nonce } = await createDiscordAuthorization({ clientId: CLIENT_ID, redirectUri: REDIRECT_URI, purpose: 'login' });
+
+        setNonceCookie(res, nonce);
+        res.redirect(url);
+    } catch (error) {
+        console.error('Discord authorize error:', error);
+        res.redirect(`${process.env.FRONTEND_URL}/login?error=discord_auth_failed`);
+    }
+});
+
+// @route   POST /api/auth/discord/link
+// @desc    Start connecting Discord to my account (returns the Discord URL to open; call with credentials so the nonce cookie is kept)
+// @access  Private
+router.post('/discord/link', auth, async (req, res) => {
     if (!REDIRECT_URI) {
-        return res.status(500).json({
-            error: 'Discord configuration missing',
-            details: 'REDIRECT_URI is not configured on the server.'
-        });
+        return discordConfigMissing(res);
     }
 
-    // identify, email, guilds (optional)
-    const url = `https://discord.com/api/oauth2/authorize?client_id=${CLIENT_ID}&redirect_uri=${encodeURIComponent(REDIRECT_URI)}&response_type=code&scope=identify%20email&state=${state}`;
-    res.redirect(url);
+    try {
+        const { url, nonce } = await createDiscordAuthorization({
+            clientId: CLIENT_ID,
+            redirectUri: REDIRECT_URI,
+            purpose: 'link',
+            userId: req.user._id
+        });
+        setNonceCookie(res, nonce, { crossSite: true });
+        res.json({ url });
+    } catch (error) {
+        console.error('Discord link start error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
 });
 
 // @route   GET /api/auth/discord/callback
@@ -321,101 +796,70 @@ router.get('/discord', (req, res) => {
 // @access  Public
 router.get('/discord/callback', async (req, res) => {
     const { code, state } = req.query;
+    const nonce = getCookie(req, NONCE_COOKIE);
+    res.clearCookie(NONCE_COOKIE);
 
     if (!code) {
         return res.redirect(`${process.env.FRONTEND_URL}/login?error=discord_denied`);
     }
 
     try {
-        // Exchange code for token
-        const tokenResponse = await axios.post('https://discord.com/api/oauth2/token',
-            new URLSearchParams({
-                client_id: CLIENT_ID,
-                client_secret: CLIENT_SECRET,
-                grant_type: 'authorization_code',
-                code: code,
-                redirect_uri: REDIRECT_URI,
-            }), {
-            headers: {
-                'Content-Type': 'application/x-www-form-urlencoded'
-            }
-        });
+        // Unknown, expired, reused or foreign state: start over rather than guess the intent
+        const flow = await consumeDiscordState(state, nonce);
+        if (!flow) {
+            return res.redirect(`${process.env.FRONTEND_URL}/login?error=discord_invalid_state`);
+        }
 
-        const { access_token, refresh_token } = tokenResponse.data;
+        const { discordUser, discordData } = await fetchDiscordProfile(code, flow.codeVerifier);
 
-        // Get user data
-        const userResponse = await axios.get('https://discord.com/api/users/@me', {
-            headers: {
-                Authorization: `Bearer ${access_token}`
+        // Flow 1: Connect Discord (started by a signed-in user)
+        if (flow.purpose === 'link') {
+            const user = await User.findById(flow.user);
+            if (!user) {
+                return res.redirect(`${process.env.FRONTEND_URL}/account/settings?error=discord_link_failed`);
             }
-        });
 
-        const discordUser = userResponse.data;
-
-        // Construct Discord asset URLs
-        const avatarUrl = discordUser.avatar
-            ? `https://cdn.discordapp.com/avatars/${discordUser.id}/${discordUser.avatar}.${discordUser.avatar.startsWith('a_') ? 'gif' : 'png'}?size=512`
-            : null;
-
-        const bannerUrl = discordUser.banner
-            ? `https://cdn.discordapp.com/banners/${discordUser.id}/${discordUser.banner}.${discordUser.banner.startsWith('a_') ? 'gif' : 'png'}?size=1024`
-            : null;
-
-        const decorationUrl = discordUser.avatar_decoration_data?.asset
-            ? `https://cdn.discordapp.com/avatar-decoration-presets/${discordUser.avatar_decoration_data.asset}.png`
-            : null;
-
-        const discordData = {
-            id: discordUser.id,
-            username: discordUser.username,
-            avatar: discordUser.avatar,
-            avatarUrl: avatarUrl,
-            banner: discordUser.banner,
-            bannerUrl: bannerUrl,
-            bannerColor: discordUser.banner_color,
-            decoration: discordUser.avatar_decoration,
-            decorationUrl: decorationUrl,
-            profileEffectId: discordUser.profile_effect_id,
-            accessToken: access_token,
-            refreshToken: refresh_token,
-            connectedAt: new Date()
-        };
-
-        let user;
-
-        // Flow 1: Connect Discord (User is already logged in)
-        if (state && state !== 'login') {
-            try {
-                const decoded = jwt.verify(state, process.env.JWT_SECRET);
-                user = await User.findById(decoded.userId);
-
-                if (user) {
-                    // Check if this Discord account is already linked to ANOTHER user
-                    const existingLink = await User.findOne({ 'discord.id': discordUser.id, _id: { $ne: user._id } });
-                    if (existingLink) {
-                        return res.redirect(`${process.env.FRONTEND_URL}/account/settings?error=discord_already_linked`);
-                    }
-
-                    user.discord = discordData;
-                    await user.save();
-                    return res.redirect(`${process.env.FRONTEND_URL}/account/settings?success=discord_connected`);
-                }
-            } catch (jwtError) {
-                console.error('Discord state JWT error:', jwtError);
-                // Fallback to login flow if token expired
+            // Check if this Discord account is already linked to ANOTHER user
+            const existingLink = await User.findOne({ 'discord.id': discordUser.id, _id: { $ne: user._id } });
+            if (existingLink) {
+                return res.redirect(`${process.env.FRONTEND_URL}/account/settings?error=discord_already_linked`);
             }
+
+            user.discord = discordData;
+            await user.save();
+            return res.redirect(`${process.env.FRONTEND_URL}/account/settings?success=discord_connected`);
         }
 
         // Flow 2: Login / Register with Discord
-        // Find existing user by discord id OR email
-        user = await User.findOne({ $or: [{ 'discord.id': discordUser.id }, { email: discordUser.email }] });
+        let user = await User.findOne({ 'discord.id': discordUser.id });
+
+        if (user?.isBanned) {
+            return res.redirect(`${process.env.FRONTEND_URL}/login?error=account_banned`);
+        }
 
         if (user) {
-            // Update discord info if it's the same or link if email matched
+            // Refresh the stored Discord profile
             user.discord = discordData;
-            user.lastLoginAt = new Date();
             await user.save();
         } else {
+            if (!discordUser.email) {
+                return res.redirect(`${process.env.FRONTEND_URL}/login?error=discord_email_required`);
+            }
+
+            const emailMatch = await User.findOne({ email: discordUser.email.toLowerCase() });
+            if (emailMatch?.isBanned) {
+                return res.redirect(`${process.env.FRONTEND_URL}/login?error=account_banned`);
+            }
+            if (emailMatch) {
+                // Never merge silently: both sides must have verified the address and the owner has to confirm
+                if (!discordUser.verified || !emailMatch.emailVerified) {
+                    return res.redirect(`${process.env.FRONTEND_URL}/login?error=discord_email_in_use`);
+                }
+
+                const linkCode = await issueAuthCode('discord_link', emailMatch._id, discordData);
+                return res.redirect(`${process.env.FRONTEND_URL}/login/discord-link?code=${linkCode}`);
+            }
+
             // Register new user
             const username = discordUser.username.toLowerCase().replace(/[^a-z0-9_]/g, '') + Math.floor(1000 + Math.random() * 9000);
             user = new User({
@@ -424,6 +868,7 @@ router.get('/discord/callback', async (req, res) => {
                 displayName: discordUser.username,
                 password: Math.random().toString(36).slice(-16), // Random password
                 discord: discordData,
+                emailVerified: discordUser.verified === true, // Discord already confirmed this address
                 isVerified: false,
                 onboardingCompleted: false
             });
@@ -437,9 +882,14 @@ router.get('/discord/callback', async (req, res) => {
             await profile.save();
         }
 
-        // Generate JWT
-        const token = generateToken(user._id);
-        res.redirect(`${process.env.FRONTEND_URL}/login/callback?token=${token}`);
+        // 2FA users finish the login on the frontend with the challenge
+        if (user.twoFactor?.enabled) {
+            return res.redirect(`${process.env.FRONTEND_URL}/login/2fa?challenge=${issueChallenge(user._id)}`);
+        }
+
+        // One-time code, exchanged for tokens at POST /discord/exchange
+        const loginCode = await issueAuthCode('login', user._id);
+        res.redirect(`${process.env.FRONTEND_URL}/login/callback?code=${loginCode}`);
 
     } catch (error) {
         console.error('Discord Auth Error:', error.response?.data || error.message);
@@ -447,6 +897,106 @@ router.get('/discord/callback', async (req, res) => {
     }
 });
 
+// @route   POST /api/auth/discord/exchange
+// @desc    Exchange the one-time code from the Discord callback for tokens
+// @access  Public
+router.post('/discord/exchange', loginIpLimiter, async (req, res) => {
+    try {
+        const record = await consumeAuthCode(req.body.code, 'login');
+        if (!record) {
+            return res.status(401).json({ error: 'Invalid or expired login code' });
+        }
+
+        const user = await User.findById(record.user);
+        if (!user) {
+            return res.status(401).json({ error: 'User not found' });
+        }
+
+        await completeLogin(user, req, res);
+    } catch (error) {
+        console.error('Discord exchange error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// @route   GET /api/auth/discord/link/confirm
+// @desc    Details of a pending Discord link (which account and Discord profile)
+// @access  Public (needs the link code)
+router.get('/discord/link/confirm', async (req, res) => {
+    try {
+        const pending = await findAuthCode(req.query.code, 'discord_link');
+        const user = pending ? await User.findById(pending.user).select('username displayName twoFactor.enabled') : null;
+        if (!user) {
+            return res.status(404).json({ error: 'Invalid or expired link request' });
+        }
+
+        res.json({
+            account: { username: user.username, displayName: user.displayName },
+            discord: { username: pending.discord.username, avatarUrl: pending.discord.avatarUrl },
+            twoFactorRequired: Boolean(user.twoFactor?.enabled)
+        });
+    } catch (error) {
+        console.error('Get discord link error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// @route   POST /api/auth/discord/link/confirm
+// @desc    Link Discord to the existing account with the same email (needs its password) and log in
+// @access  Public (needs the link code)
+router.post('/discord/link/confirm', loginIpLimiter, async (req, res) => {
+    try {
+        const { code, password, twoFactorCode } = req.body;
+
+        const pending = await findAuthCode(code, 'discord_link');
+        const user = pending ? await User.findById(pending.user) : null;
+        if (!user) {
+            return res.status(400).json({ error: 'Invalid or expired link request' });
+        }
+
+        const lockKey = getLoginLockKey(user.email, req);
+        const lockedFor = await getLockout(lockKey);
+        if (lockedFor) {
+            return lockedResponse(res, lockedFor);
+        }
+
+        if (!password || !(await user.comparePassword(password))) {
+            const lockedNow = await recordFailure(lockKey);
+            if (lockedNow) {
+                return lockedResponse(res, lockedNow);
+            }
+            return res.status(401).json({ error: 'Invalid credentials' });
+        }
+
+        if (user.twoFactor?.enabled && !(await verifyCode(user._id, twoFactorCode))) {
+            const lockedNow = await recordFailure(lockKey);
+            if (lockedNow) {
+                return lockedResponse(res, lockedNow);
+            }
+            return res.status(401).json({ error: 'Invalid two-factor code' });
+        }
+
+        await clearFailures(lockKey);
+
+        if (user.discord?.id && user.discord.id !== pending.discord.id) {
+            return res.status(409).json({ error: 'This account is already linked to another Discord account' });
+        }
+        if (await User.exists({ 'discord.id': pending.discord.id, _id: { $ne: user._id } })) {
+            return res.status(409).json({ error: 'This Discord account is already linked to another account' });
+        }
+
+        if (!(await consumeAuthCode(code, 'discord_link'))) {
+            return res.status(400).json({ error: 'Invalid or expired link request' });
+        }
+
+        user.discord = pending.discord;
+        await completeLogin(user, req, res, { twoFactorVerified: Boolean(user.twoFactor?.enabled) });
+    } catch (error) {
+        console.error('Confirm discord link error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
 // @route   PUT /api/auth/onboarding
 // @desc    Complete onboarding (set username & referral)
 // @access  Private
@@ -514,6 +1064,22 @@ router.delete('/account', auth, async (req, res) => {
         // Delete profile
         await Profile.findOneAndDelete({ user: userId });
 
+        // Delete sessions and pending email tokens / login codes
+        await Session.deleteMany({ user: userId });
+        await AuthToken.deleteMany({ user: userId });
+        await AuthCode.deleteMany({ user: userId });
+
+        // Take their listings off the marketplace (the escrowed copy stays on the listing) and close their open trades
+        const now = new Date();
+        await Listing.updateMany(
+            { seller: userId, status: 'active' },
+            { $set: { status: 'cancelled', cancelledAt: now } }
+        );
+        await Trade.updateMany(
+            { $or: [{ initiator: userId }, { recipient: userId }], status: 'pending' },
+            { $set: { status: 'cancelled', respondedAt: now } }
+        );
+
         // Delete user
         await User.findByIdAndDelete(userId);
 
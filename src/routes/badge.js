@@ -1,5 +1,7 @@
 const express = require('express');
 const Badge = require('../models/Badge');
+const UserBadge = require('../models/UserBadge');
+const User = require('../models/User');
 const router = express.Router();
 
 // @route   GET /api/badges
@@ -16,12 +18,50 @@ router.get('/', async (req, res) => {
 });
 
 // @route   GET /api/badges/my
-// @desc    Get user's owned badges
+// @desc    Get user's owned badges with earned dates and rarity stats
 // @access  Private
 router.get('/my', require('../middleware/auth').auth, async (req, res) => {
     try {
-        // req.user.badges is already populated by auth middleware
-        res.json(req.user.badges);
+        const ownedRows = await UserBadge.find({ user: req.user._id })
+            .populate('badge')
+            .sort({ earnedAt: -1 });
+
+        const earned = ownedRows
+            .filter(row => row.badge)
+            .map(row => ({
+                badge: row.badge,
+                earnedAt: row.earnedAt,
+                isDisplayed: row.isDisplayed,
+                displayOrder: row.displayOrder
+            }));
+
+        // Legacy ownership not yet backfilled into UserBadge (see scripts/migrateUserBadges.js)
+        const earnedIds = earned.map(e => e.badge._id.toString());
+        (req.user.badges || []).forEach(badge => {
+            if (badge && badge._id && !earnedIds.includes(badge._id.toString())) {
+                earned.push({ badge, earnedAt: null, isDisplayed: false, displayOrder: 0 });
+            }
+        });
+
+        // Global holder counts for rarity display
+        const holderCounts = await UserBadge.aggregate([
+            { $match: { badge: { $in: earned.map(e => e.badge._id) } } },
+            { $group: { _id: '$badge', holders: { $sum: 1 } } }
+        ]);
+        const totalUsers = await User.countDocuments();
+
+        res.json(earned.map(entry => {
+            const match = holderCounts.find(h => h._id.toString() === entry.badge._id.toString());
+            const holders = match ? match.holders : 1;
+            return {
+                ...entry.badge.toObject(),
+                earnedAt: entry.earnedAt,
+                isDisplayed: entry.isDisplayed,
+                displayOrder: entry.displayOrder,
+                holders,
+                holderPercent: totalUsers ? Number(((holders / totalUsers) * 100).toFixed(2)) : 0
+            };
+        }));
     } catch (error) {
         console.error('Get My Badges Error:', error);
         res.status(500).json({ error: 'Server error' });
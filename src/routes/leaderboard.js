@@ -0,0 +1,42 @@
+const express = require('express');
+const router = express.Router();
+const { optionalAuth } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+const { METRICS, WINDOWS, getLeaderboard } = require('../services/leaderboardService');
+
+const leaderboardLimiter = rateLimit({ name: 'leaderboard', windowMs: 60 * 1000, max: 30 });
+
+// @route   GET /api/leaderboards/:metric
+// @desc    Get ranked users (metric: xp, views, referrals, credits-earned; ?window=weekly|monthly|all-time)
+// @access  Public (includes requester's rank when authenticated)
+router.get('/:metric', leaderboardLimiter, optionalAuth, async (req, res) => {
+    try {
+        const { metric } = req.params;
+        const window = req.query.window || 'all-time';
+
+        if (!METRICS.includes(metric)) {
+            return res.status(400).json({ error: `Invalid metric. Use one of: ${METRICS.join(', ')}` });
+        }
+        if (!Object.keys(WINDOWS).includes(window)) {
+            return res.status(400).json({ error: `Invalid window. Use one of: ${Object.keys(WINDOWS).join(', ')}` });
+        }
+
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 25, 1), 100);
+
+        const leaderboard = await getLeaderboard({
+            metric,
+            window,
+            page,
+            limit,
+            userId: req.user ? req.user._id : null
+        });
+
+        res.json(leaderboard);
+    } catch (error) {
+        console.error('Leaderboard Error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,415 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const Listing = require('../models/Listing');
+const StoreItem = require('../models/StoreItem');
+const User = require('../models/User');
+const UserItem = require('../models/UserItem');
+const SystemConfig = require('../models/SystemConfig');
+const { auth } = require('../middleware/auth');
+const { notify } = require('../services/notificationService');
+const { payOutSeller } = require('../services/marketplaceService');
+const {
+    formatSerial,
+    takeFromInventory,
+    giveToInventory,
+    isTradable,
+    hasActiveListing
+} = require('../services/inventoryService');
+
+const LISTING_ITEM_FIELDS = 'name imageUrl itemType rarity price stock';
+const LISTING_USER_FIELDS = 'username displayName avatar';
+
+// Parses ?page=&limit= (limit capped at 50)
+const getPagination = (query) => {
+    const page = Math.max(parseInt(query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(query.limit) || 20, 1), 50);
+    return { page, limit, skip: (page - 1) * limit };
+};
+
+// Adds the "#12 of 500" label of the listed copy
+const withSerial = (listing) => ({
+    ...listing.toObject(),
+    serial: listing.item ? formatSerial(listing.item, listing.copy?.serialNumber) : null
+});
+
+// @route   GET /api/marketplace
+// @desc    Browse active listings (?item=&itemType=&rarity=&sort=price|-price|recent)
+// @access  Public
+router.get('/', async (req, res) => {
+    try {
+        const { item, itemType, rarity, sort } = req.query;
+        const { page, limit, skip } = getPagination(req.query);
+        const query = { status: 'active' };
+
+        if (item) {
+            if (!mongoose.Types.ObjectId.isValid(item)) return res.status(400).json({ error: 'Invalid item ID' });
+            query.item = item;
+        } else if (itemType || rarity) {
+            const itemQuery = {};
+            if (itemType) itemQuery.itemType = itemType;
+            if (rarity) itemQuery.rarity = rarity;
+            query.item = { $in: await StoreItem.find(itemQuery).distinct('_id') };
+        }
+
+        const sortBy = sort === 'recent'
+            ? { createdAt: -1 }
+            : { price: sort === '-price' ? -1 : 1, createdAt: 1 };
+
+        const [listings, total] = await Promise.all([
+            Listing.find(query)
+                .sort(sortBy)
+                .skip(skip)
+                .limit(limit)
+                .select('-copy.source -copy.pricePaid -copy.acquiredAt -copy.equippedAt')
+                .populate('item', LISTING_ITEM_FIELDS)
+                .populate('seller', LISTING_USER_FIELDS),
+            Listing.countDocuments(query)
+        ]);
+
+        res.json({
+            listings: listings.map(withSerial),
+            totalPages: Math.ceil(total / limit),
+            currentPage: page,
+            totalListings: total
+        });
+    } catch (error) {
+        console.error('Get Listings Error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// @route   GET /api/marketplace/history
+// @desc    Completed sales, newest first (?item= adds price stats for that item)
+// @access  Public
+router.get('/history', async (req, res) => {
+    try {
+        const { item } = req.query;
+        const { page, limit, skip } = getPagination(req.query);
+        const query = { status: 'sold' };
+
+        if (item) {
+            if (!mongoose.Types.ObjectId.isValid(item)) return res.status(400).json({ error: 'Invalid item ID' });
+            query.item = new mongoose.Types.ObjectId(item);
+        }
+
+        const [sales, total] = await Promise.all([
+            Listing.find(query)
+                .sort({ soldAt: -1 })
+                .skip(skip)
+                .limit(limit)
+                .select('item price seller buyer soldAt copy.serialNumber')
+                .populate('item', LISTING_ITEM_FIELDS)
+                .populate('seller', LISTING_USER_FIELDS)
+                .populate('buyer', LISTING_USER_FIELDS),
+            Listing.countDocuments(query)
+        ]);
+
+        let stats = null;
+        if (item) {
+            const [result] = await Listing.aggregate([
+                { $match: query },
+                {
+                    $group: {
+                        _id: null,
+                        sales: { $sum: 1 },
+                        averagePrice: { $avg: '$price' },
+                        lowestPrice: { $min: '$price' },
+                        highestPrice: { $max: '$price' }
+                    }
+                }
+            ]);
+            stats = result
+                ? { sales: result.sales, averagePrice: Math.round(result.averagePrice), lowestPrice: result.lowestPrice, highestPrice: result.highestPrice, lastPrice: sales[0]?.price ?? null }
+                : { sales: 0, averagePrice: null, lowestPrice: null, highestPrice: null, lastPrice: null };
+        }
+
+        res.json({
+            sales: sales.map(withSerial),
+            stats,
+            totalPages: Math.ceil(total / limit),
+            currentPage: page,
+            totalSales: total
+        });
+    } catch (error) {
+        console.error('Get Sales History Error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// @route   GET /api/marketplace/my
+// @desc    My listings (?status=active|sold|cancelled) or purchases (?role=buyer)
+// @access  Private
+router.get('/my', auth, async (req, res) => {
+    try {
+        const { status, role } = req.query;
+        const { page, limit, skip } = getPagination(req.query);
+
+        const query = role === 'buyer'
+            ? { buyer: req.user._id, status: 'sold' }
+            : { seller: req.user._id };
+        if (role !== 'buyer' && status) query.status = status;
+
+        const [listings, total] = await Promise.all([
+            Listing.find(query)
+                .sort({ createdAt: -1 })
+                .skip(skip)
+                .limit(limit)
+                .populate('item', LISTING_ITEM_FIELDS)
+                .populate('seller', LISTING_USER_FIELDS)
+                .populate('buyer', LISTING_USER_FIELDS),
+            Listing.countDocuments(query)
+        ]);
+
+        res.json({
+            listings: listings.map(withSerial),
+            totalPages: Math.ceil(total / limit),
+            currentPage: page,
+            totalListings: total
+        });
+    } catch (error) {
+        console.error('Get My Listings Error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// @route   POST /api/marketplace
+// @desc    List an owned item for sale (body: { itemId, price }); the copy is held in escrow until sold or cancelled
+// @access  Private
+router.post('/', auth, async (req, res) => {
+    try {
+        const { itemId } = req.body;
+        const price = Number(req.body.price);
+
+        if (!itemId || !mongoose.Types.ObjectId.isValid(itemId)) {
+            return res.status(400).json({ error: 'Invalid item ID' });
+        }
+
+        const config = await SystemConfig.getOrCreate();
+        const { minPrice, maxPrice, maxActiveListings } = config.marketplace;
+
+        if (!Number.isInteger(price) || price < minPrice || price > maxPrice) {
+            return res.status(400).json({ error: `Price must be a whole number between ${minPrice} and ${maxPrice}` });
+        }
+
+        const item = await StoreItem.findById(itemId);
+        if (!item) return res.status(404).json({ error: 'Item not found' });
+
+        if (!isTradable(item)) {
+            return res.status(400).json({ error: 'This item cannot be traded' });
+        }
+
+        const activeListings = await Listing.countDocuments({ seller: req.user._id, status: 'active' });
+        if (activeListings >= maxActiveListings) {
+            return res.status(429).json({ error: `You can have at most ${maxActiveListings} active listings` });
+        }
+
+        // Escrow: the copy leaves the seller's inventory (and profile) while listed
+        const copy = await takeFromInventory(req.user._id, item);
+        if (!copy) {
+            return res.status(400).json({ error: 'You do not own this item' });
+        }
+
+        let listing;
+        try {
+            listing = await Listing.create({ seller: req.user._id, item: item._id, price, copy });
+        } catch (createError) {
+            const restored = await giveToInventory(req.user._id, item, copy);
+            if (!restored) {
+                // Only happens if the seller got another copy in the meantime: keep the copy on a
+                // cancelled listing so it can be restored by hand
+                await Listing.create({
+                    seller: req.user._id,
+                    item: item._id,
+                    price,
+                    copy,
+                    status: 'cancelled',
+                    cancelledAt: new Date(),
+                    copyUnreturned: true
+                });
+                console.error('Create Listing Error: escrowed copy could not be returned, kept on a cancelled listing', { user: req.user._id, item: item._id });
+            }
+            if (createError.code === 11000) {
+                return res.status(400).json({ error: 'This item is already listed' });
+            }
+            throw createError;
+        }
+
+        res.status(201).json({
+            message: `${item.name} listed for ${price} credits`,
+            listing,
+            fee: Math.floor(price * config.marketplace.feePercent / 100)
+        });
+    } catch (error) {
+        console.error('Create Listing Error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// @route   DELETE /api/marketplace/:id
+// @desc    Cancel my active listing (the copy goes back to my inventory)
+// @access  Private
+router.delete('/:id', auth, async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(404).json({ error: 'Listing not found' });
+        }
+
+        // Flip the status atomically so a cancel can't race a purchase
+        const listing = await Listing.findOneAndUpdate(
+            { _id: req.params.id, seller: req.user._id, status: 'active' },
+            { $set: { status: 'cancelled', cancelledAt: new Date() } },
+            { new: true }
+        ).populate('item');
+
+        if (!listing) return res.status(404).json({ error: 'Active listing not found' });
+
+        const returned = await giveToInventory(req.user._id, listing.item, listing.copy.toObject());
+        if (!returned) {
+            // The seller already owns this item again: keep the copy in escrow rather than lose it
+            await Listing.updateOne(
+                { _id: listing._id, status: 'cancelled' },
+                { $set: { status: 'active' }, $unset: { cancelledAt: '' } }
+            );
+            return res.status(409).json({ error: 'You already own this item, so the listing cannot be cancelled' });
+        }
+
+        res.json({ message: 'Listing cancelled', listing });
+    } catch (error) {
+        console.error('Cancel Listing Error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// @route   POST /api/marketplace/:id/buy
+// @desc    Buy a listing; credits go to the seller minus the platform fee
+// @access  Private
+router.post('/:id/buy', auth, async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(404).json({ error: 'Listing not found' });
+        }
+
+        const listing = await Listing.findById(req.params.id).populate('item');
+        if (!listing || listing.status !== 'active') {
+            return res.status(404).json({ error: 'Listing not found' });
+        }
+
+        const item = listing.item;
+        const buyer = await User.findById(req.user.id);
+
+        if (listing.seller.equals(buyer._id)) {
+            return res.status(400).json({ error: 'You cannot buy your own listing' });
+        }
+        if (buyer.inventory.items.includes(item._id) || await hasActiveListing(buyer._id, item._id)) {
+            return res.status(400).json({ error: 'You already own this item' });
+        }
+        if ((buyer.credits || 0) < listing.price) {
+            return res.status(400).json({
+                error: 'Insufficient credits',
+                required: listing.price,
+                current: buyer.credits || 0
+            });
+        }
+
+        const config = await SystemConfig.getOrCreate();
+        const fee = Math.floor(listing.price * config.marketplace.feePercent / 100);
+        const transferId = new mongoose.Types.ObjectId();
+
+        // Claim the listing atomically so only one buyer wins
+        const claimed = await Listing.findOneAndUpdate(
+            { _id: listing._id, status: 'active' },
+            { $set: { status: 'sold', buyer: buyer._id, soldAt: new Date(), fee, transferId } },
+            { new: true }
+        );
+        if (!claimed) {
+            return res.status(409).json({ error: 'Listing is no longer available' });
+        }
+
+        const releaseListing = () => Listing.updateOne(
+            { _id: listing._id },
+            { $set: { status: 'active', buyer: null, soldAt: null, fee: 0, transferId: null } }
+        );
+
+        // Reserve the buyer's inventory slot before taking payment
+        const slot = await User.updateOne(
+            { _id: buyer._id, 'inventory.items': { $ne: item._id } },
+            { $push: { 'inventory.items': item._id } }
+        );
+        if (!slot.modifiedCount) {
+            await releaseListing();
+            return res.status(400).json({ error: 'You already own this item' });
+        }
+
+        try {
+            const { balance } = await User.applyCreditChange(buyer._id, -listing.price, {
+                type: 'spent',
+                source: 'marketplace',
+                description: `Bought ${item.name} on the marketplace`,
+                relatedItem: item._id,
+                transferId,
+                counterparty: listing.seller,
+                idempotencyKey: req.header('Idempotency-Key') || req.body.idempotencyKey
+            });
+            buyer.syncCredits(balance);
+        } catch (spendError) {
+            await User.updateOne({ _id: buyer._id }, { $pull: { 'inventory.items': item._id } });
+            await releaseListing();
+
+            if (spendError.code === 'DUPLICATE_REQUEST') {
+                return res.status(409).json({ error: 'Purchase already processed' });
+            }
+            if (spendError.message === 'Insufficient credits') {
+                return res.status(400).json({ error: 'Insufficient credits', required: listing.price });
+            }
+            throw spendError;
+        }
+
+        // Hand the escrowed copy (serial number included) to the buyer
+        await UserItem.updateOne(
+            { user: buyer._id, item: item._id },
+            {
+                $set: {
+                    source: 'marketplace',
+                    pricePaid: listing.price,
+                    serialNumber: listing.copy.serialNumber,
+                    acquiredAt: new Date(),
+                    equippedAt: null
+                }
+            },
+            { upsert: true }
+        );
+
+        const seller = await User.findById(listing.seller).select('username');
+        // The buyer already paid and has the copy: a failed payout is queued for retry, not undone
+        const paid = await payOutSeller(claimed, item);
+
+        await notify(listing.seller, 'marketplace_sale', {
+            title: `${buyer.displayName || buyer.username} bought your ${item.name}`,
+            message: paid
+                ? `You received ${listing.price - fee} credits`
+                : `Your ${listing.price - fee} credits are on their way`,
+            data: {
+                listingId: listing._id,
+                transferId,
+                price: listing.price,
+                fee,
+                item: { id: item._id, name: item.name, imageUrl: item.imageUrl, itemType: item.itemType },
+                buyer: { id: buyer._id, username: buyer.username }
+            }
+        });
+
+        res.json({
+            message: `Bought ${item.name} from ${seller?.username || 'a seller'}`,
+            item,
+            pricePaid: listing.price,
+            serial: formatSerial(item, listing.copy.serialNumber),
+            newBalance: buyer.credits
+        });
+    } catch (error) {
+        console.error('Buy Listing Error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+module.exports = router;
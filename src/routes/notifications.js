@@ -0,0 +1,160 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const { auth } = require('../middleware/auth');
+const { NOTIFICATION_TYPES } = require('../services/notificationService');
+
+// @route   GET /api/notifications
+// @desc    My notifications, newest first (?unread=true, ?type=, paginated) with the unread count
+// @access  Private
+router.get('/', auth, async (req, res) => {
+    try {
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 50);
+
+        const query = { user: req.user._id };
+        if (req.query.unread === 'true') query.isRead = false;
+        if (req.query.type) query.type = req.query.type;
+
+        const [notifications, total, unreadCount] = await Promise.all([
+            Notification.find(query).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit),
+            Notification.countDocuments(query),
+            Notification.countDocuments({ user: req.user._id, isRead: false })
+        ]);
+
+        res.json({
+            notifications,
+            unreadCount,
+            totalPages: Math.ceil(total / limit),
+            currentPage: page,
+            totalNotifications: total
+        });
+    } catch (error) {
+        console.error('Get Notifications Error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// @route   GET /api/notifications/unread-count
+// @desc    Unread count (total and per type) for badges in the UI
+// @access  Private
+router.get('/unread-count', auth, async (req, res) => {
+    try {
+        const byType = await Notification.aggregate([
+            { $match: { user: req.user._id, isRead: false } },
+            { $group: { _id: '$type', count: { $sum: 1 } } }
+        ]);
+
+        res.json({
+            unreadCount: byType.reduce((sum, t) => sum + t.count, 0),
+            byType: Object.fromEntries(byType.map(t => [t._id, t.count]))
+        });
+    } catch (error) {
+        console.error('Get Unread Count Error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// @route   GET /api/notifications/preferences
+// @desc    Get my muted notification types (and all available types)
+// @access  Private
+router.get('/preferences', auth, async (req, res) => {
+    try {
+        res.json({
+            types: NOTIFICATION_TYPES,
+            muted: req.user.notificationPreferences?.muted || []
+        });
+    } catch (error) {
+        console.error('Get Notification Preferences Error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// @route   PUT /api/notifications/preferences
+// @desc    Set my muted notification types (body: { muted: [type] })
+// @access  Private
+router.put('/preferences', auth, async (req, res) => {
+    try {
+        const { muted } = req.body;
+
+        if (!Array.isArray(muted) || muted.some(type => !NOTIFICATION_TYPES.includes(type))) {
+            return res.status(400).json({ error: 'muted must be an array of notification types', types: NOTIFICATION_TYPES });
+        }
+
+        const user = await User.findByIdAndUpdate(
+            req.user._id,
+            { $set: { 'notificationPreferences.muted': [...new Set(muted)] } },
+            { new: true }
+        ).select('notificationPreferences');
+
+        res.json({ muted: user.notificationPreferences.muted });
+    } catch (error) {
+        console.error('Update Notification Preferences Error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// @route   PUT /api/notifications/read-all
+// @desc    Mark all my notifications as read
+// @access  Private
+router.put('/read-all', auth, async (req, res) => {
+    try {
+        const result = await Notification.updateMany(
+            { user: req.user._id, isRead: false },
+            { $set: { isRead: true, readAt: new Date() } }
+        );
+
+        res.json({ message: 'All notifications marked as read', updated: result.modifiedCount });
+    } catch (error) {
+        console.error('Mark All Read Error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// @route   PUT /api/notifications/:id/read
+// @desc    Mark one notification as read
+// @access  Private
+router.put('/:id/read', auth, async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(404).json({ error: 'Notification not found' });
+        }
+
+        const notification = await Notification.findOne({ _id: req.params.id, user: req.user._id });
+        if (!notification) return res.status(404).json({ error: 'Notification not found' });
+
+        if (!notification.isRead) {
+            notification.isRead = true;
+            notification.readAt = new Date();
+            await notification.save();
+        }
+
+        res.json(notification);
+    } catch (error) {
+        console.error('Mark Read Error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// @route   DELETE /api/notifications/:id
+// @desc    Delete one of my notifications
+// @access  Private
+router.delete('/:id', auth, async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(404).json({ error: 'Notification not found' });
+        }
+
+        const result = await Notification.deleteOne({ _id: req.params.id, user: req.user._id });
+        if (!result.deletedCount) return res.status(404).json({ error: 'Notification not found' });
+
+        res.json({ message: 'Notification deleted' });
+    } catch (error) {
+        console.error('Delete Notification Error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+module.exports = router;
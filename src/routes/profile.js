@@ -3,11 +3,18 @@ const { body, validationResult } = require('express-validator');
 const Profile = require('../models/Profile');
 const User = require('../models/User');
 const { auth, optionalAuth } = require('../middleware/auth');
+const { rateLimit, isFirstHit } = require('../middleware/rateLimit');
 const { getDiscordPresence } = require('../services/discordService');
 const { syncUserDiscordBadges } = require('../services/badgeService');
+const { getLinkLimit } = require('../services/premiumService');
+const { resolveFrameItem, resolveStoreAssets, markEquipped } = require('../services/inventoryService');
 
 const router = express.Router();
 
+// A visitor counts as one view (and one XP for the owner) per profile per day
+const VIEW_WINDOW_MS = 24 * 60 * 60 * 1000;
+const profileViewLimiter = rateLimit({ name: 'profile-view', windowMs: 60 * 1000, max: 60 });
+
 // Routes moved to bottom to prevent shadowing specific paths like /@me
 
 // @route   GET /api/profiles/@me
@@ -82,6 +89,26 @@ router.put('/@me', auth, [
             }
         });
 
+        // Frames are stored as StoreItem references (old clients may still send Frame IDs or URLs)
+        if (updates.frame !== undefined && updates.frame !== null && updates.frame !== '') {
+            const frameItem = await resolveFrameItem(updates.frame);
+            if (!frameItem) {
+                return res.status(400).json({ error: 'Frame not found' });
+            }
+            updates.frame = frameItem._id;
+        } else if (updates.frame !== undefined) {
+            updates.frame = null;
+        }
+
+        // Store assets (frames, cursors, backgrounds, audio...) must be owned to be used
+        const { usable, unusable } = await resolveStoreAssets(req.user, updates);
+        if (unusable.length > 0) {
+            return res.status(403).json({
+                error: 'You do not own some of the selected store items',
+                items: unusable.map(item => ({ id: item._id, name: item.name, itemType: item.itemType }))
+            });
+        }
+
         // Update display name on user model if provided
         if (req.body.displayName) {
             await User.findByIdAndUpdate(req.user._id, {
@@ -99,6 +126,12 @@ router.put('/@me', auth, [
             return res.status(404).json({ error: 'Profile not found' });
         }
 
+        await markEquipped(req.user._id, usable);
+
+        // Links/socials count towards criteria badges (non-blocking)
+        const { checkCriteriaBadges } = require('../services/badgeService');
+        checkCriteriaBadges(req.user._id).catch(err => console.error('Criteria badge check error:', err));
+
         res.json({
             message: 'Profile updated',
             profile
@@ -214,7 +247,7 @@ router.post('/@me/links', auth, [
         }
 
         // Enforce Limits: 1 for Free, 3 for Pro
-        const linkLimit = req.user.isPremium ? 3 : 1;
+        const linkLimit = getLinkLimit(req.user);
         if (profile.links.length >= linkLimit) {
             return res.status(403).json({
                 error: `Link limit reached. ${req.user.isPremium ? 'Pro' : 'Free'} users are limited to ${linkLimit} custom links.`
@@ -230,6 +263,9 @@ router.post('/@me/links', auth, [
         });
         await profile.save();
 
+        const { checkCriteriaBadges } = require('../services/badgeService');
+        checkCriteriaBadges(req.user._id).catch(err => console.error('Criteria badge check error:', err));
+
         res.status(201).json({
             message: 'Link added',
             links: profile.links
@@ -285,7 +321,7 @@ router.get('/:username/presence', async (req, res) => {
 // @route   GET /api/profiles/:username
 // @desc    Get public profile by username
 // @access  Public
-router.get('/:username', optionalAuth, async (req, res) => {
+router.get('/:username', profileViewLimiter, optionalAuth, async (req, res) => {
     try {
         const { username } = req.params;
 
@@ -311,16 +347,19 @@ router.get('/:username', optionalAuth, async (req, res) => {
             return res.status(403).json({ error: 'This profile is private' });
         }
 
-        // Increment views if not owner
-        if (!isOwner) {
+        // Increment views if not owner (once per visitor per day, so refreshing can't inflate views or farm XP)
+        const visitor = req.user ? `user:${req.user._id}` : `ip:${req.ip}`;
+        if (!isOwner && await isFirstHit(`profile-view:${profile._id}:${visitor}`, VIEW_WINDOW_MS)) {
             await profile.incrementViews();
             // Add XP to profile owner for view
-            await user.addXP(1);
+            await user.addXP(1, 'profile_view', 'Profile view', { kind: 'Profile', item: profile._id });
 
-            // Check for view milestones
-            const { checkViewBadges } = require('../services/badgeService');
+            // Check for view milestones and view / level criteria badges
+            const { checkViewBadges, checkCriteriaBadges } = require('../services/badgeService');
             // Using a non-blocking check
-            checkViewBadges(user._id).catch(err => console.error('View milestone check error:', err));
+            checkViewBadges(user._id)
+                .then(() => checkCriteriaBadges(user._id))
+                .catch(err => console.error('View milestone check error:', err));
         }
 
         res.json({
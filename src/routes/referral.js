@@ -1,7 +1,21 @@
 const express = require('express');
 const router = express.Router();
 const User = require('../models/User');
+const CreditTransaction = require('../models/CreditTransaction');
+const SystemConfig = require('../models/SystemConfig');
+const { notify } = require('../services/notificationService');
 const { auth } = require('../middleware/auth');
+const { getGiftRestriction, getGiftAllowanceError, withGiftLock } = require('../services/giftService');
+const { rateLimit } = require('../middleware/rateLimit');
+
+// Public endpoints: stop code guessing and click inflation
+const validateLimiter = rateLimit({ name: 'referral-validate', windowMs: 60 * 1000, max: 30 });
+const clickLimiter = rateLimit({
+    name: 'referral-click',
+    windowMs: 60 * 60 * 1000,
+    max: 5,
+    keyGenerator: (req) => `${req.ip}:${String(req.params.code).toUpperCase()}`
+});
 
 // @route   GET /api/referral/code
 // @desc    Get user's referral codes (standard + premium)
@@ -36,7 +50,7 @@ router.get('/code', auth, async (req, res) => {
 // @route   POST /api/referral/validate
 // @desc    Validate a referral code
 // @access  Public
-router.post('/validate', async (req, res) => {
+router.post('/validate', validateLimiter, async (req, res) => {
     try {
         const { code } = req.body;
         if (!code || typeof code !== 'string') {
@@ -170,39 +184,118 @@ router.get('/credits', auth, async (req, res) => {
 });
 
 // @route   GET /api/referral/credits/history
-// @desc    Get credit transaction history
+// @desc    Get credit transaction history (paginated, newest first)
 // @access  Private
 router.get('/credits/history', auth, async (req, res) => {
     try {
-        const user = await User.findById(req.user.id);
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+        const query = { user: req.user._id };
+        if (req.query.type) query.type = req.query.type;
+        if (req.query.source) query.source = req.query.source;
+
+        const transactions = await CreditTransaction.find(query)
+            .sort({ createdAt: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit)
+            .populate('relatedItem', 'name imageUrl itemType')
+            .populate('counterparty', 'username displayName');
 
-        // Sort by newest first
-        const history = (user.creditHistory || []).sort((a, b) => b.timestamp - a.timestamp);
+        const total = await CreditTransaction.countDocuments(query);
 
-        res.json(history);
+        res.json({
+            transactions,
+            totalPages: Math.ceil(total / limit),
+            currentPage: page,
+            totalTransactions: total
+        });
     } catch (error) {
         console.error('Get Credit History Error:', error);
         res.status(500).json({ error: 'Server error' });
     }
 });
 
+// @route   GET /api/referral/credits/daily
+// @desc    Get daily reward status (countdown + streak)
+// @access  Private
+router.get('/credits/daily', auth, async (req, res) => {
+    try {
+        const user = await User.findById(req.user.id);
+        const status = user.getDailyStatus();
+
+        res.json({
+            ...status,
+            longestStreak: user.dailyStreak?.longest || 0,
+            lastClaimedAt: user.lastDaily || null
+        });
+    } catch (error) {
+        console.error('Get Daily Status Error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// @route   POST /api/referral/credits/daily
+// @desc    Claim daily reward (24h cooldown, streak bonus)
+// @access  Private
+router.post('/credits/daily', auth, async (req, res) => {
+    try {
+        const user = await User.findById(req.user.id);
+
+        const status = user.getDailyStatus();
+        if (!status.canClaim) {
+            return res.status(400).json({
+                error: 'Daily reward already claimed',
+                nextClaimAt: status.nextClaimAt
+            });
+        }
+
+        let reward;
+        try {
+            reward = await user.claimDaily();
+        } catch (claimError) {
+            return res.status(400).json({ error: claimError.message });
+        }
+
+        res.json({
+            message: `Claimed ${reward.credits} credits and ${reward.xp} XP`,
+            reward: { credits: reward.credits, xp: reward.xp },
+            streak: reward.streak,
+            longestStreak: reward.longest,
+            nextClaimAt: reward.nextClaimAt,
+            credits: user.credits,
+            xp: user.xp,
+            level: user.level
+        });
+    } catch (error) {
+        console.error('Claim Daily Error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
 // @route   POST /api/referral/credits/gift
-// @desc    Gift credits to another user (Premium only)
+// @desc    Gift credits to another user (Premium only, daily limits apply)
 // @access  Private
 router.post('/credits/gift', auth, async (req, res) => {
     try {
-        const { username, amount } = req.body;
+        const { username } = req.body;
+        const amount = Number(req.body.amount);
+        const message = typeof req.body.message === 'string' ? req.body.message.trim() : '';
 
-        if (!amount || amount <= 0) {
+        if (!Number.isInteger(amount) || amount <= 0) {
             return res.status(400).json({ error: 'Invalid amount' });
         }
 
-        const sender = await User.findById(req.user.id);
+        if (!username || typeof username !== 'string') {
+            return res.status(400).json({ error: 'Username is required' });
+        }
 
-        if (!sender.isPremium) {
-            return res.status(403).json({ error: 'Gifting is a Premium feature' });
+        if (message.length > 200) {
+            return res.status(400).json({ error: 'Message must be 200 characters or less' });
         }
 
+        const sender = await User.findById(req.user.id);
+
         if (sender.credits < amount) {
             return res.status(400).json({ error: 'Insufficient credits' });
         }
@@ -217,18 +310,68 @@ router.post('/credits/gift', auth, async (req, res) => {
             return res.status(400).json({ error: 'Cannot gift credits to yourself' });
         }
 
-        // Process transaction
-        await sender.spendCredits(amount, null, `Gift to ${receiver.username}`);
-        await receiver.addCredits(amount, 'admin', `Gift from ${sender.username}`);
-        // Note: using 'admin' source for now as 'gift' wasn't in enum, or we can update enum later.
-        // Actually I defined enum: ['referral', 'purchase', 'level_up', 'achievement', 'admin', 'signup_bonus']
-        // I should probably add 'gift' to enum or use 'admin' / generic.
-        // For strictness let's stick to enum, maybe 'admin' fits best or I update model. 
-        // I'll stick with 'admin' for now or 'referral' if close enough? No. 'admin' is safest fallback.
+        const config = await SystemConfig.getOrCreate();
+        const limits = config.gifting;
+
+        const restriction = getGiftRestriction(sender, receiver, limits);
+        if (restriction) {
+            return res.status(403).json({ error: restriction });
+        }
+
+        // Limit check and transfer run under the sender's gift lock so parallel gifts can't both pass
+        const locked = await withGiftLock([sender._id], async () => {
+            const overLimit = await getGiftAllowanceError(sender._id, amount, limits);
+            if (overLimit) {
+                return { status: 429, error: overLimit.error, remaining: overLimit.remaining };
+            }
+
+            // Process transaction (debit and credit are recorded as a linked pair)
+            try {
+                return {
+                    transfer: await User.transferCredits(sender._id, receiver._id, amount, {
+                        senderDescription: `Gift to ${receiver.username}`,
+                        receiverDescription: `Gift from ${sender.username}`,
+                        message: message || undefined
+                    })
+                };
+            } catch (transferError) {
+                if (transferError.message === 'Insufficient credits') {
+                    return { status: 400, error: 'Insufficient credits' };
+                }
+                throw transferError;
+            }
+        });
+
+        if (locked.busy) {
+            return res.status(409).json({ error: 'Another gift is being processed, please try again' });
+        }
+        if (locked.result.error) {
+            const { status, ...body } = locked.result;
+            return res.status(status).json(body);
+        }
+        const { transfer } = locked.result;
+
+        // Receipt for the receiver
+        await notify(receiver._id, 'gift_received', {
+            title: `${sender.displayName || sender.username} sent you ${amount} credits`,
+            message,
+            data: {
+                transferId: transfer.transferId,
+                amount,
+                from: { id: sender._id, username: sender.username }
+            }
+        });
 
         res.json({
             message: `Successfully gifted ${amount} credits to ${receiver.username}`,
-            remainingCredits: sender.credits
+            remainingCredits: transfer.senderBalance,
+            receipt: {
+                transferId: transfer.transferId,
+                amount,
+                to: receiver.username,
+                message,
+                sentAt: new Date()
+            }
         });
 
     } catch (error) {
@@ -240,7 +383,7 @@ router.post('/credits/gift', auth, async (req, res) => {
 // @route   POST /api/referral/click/:code
 // @desc    Track a referral link click
 // @access  Public
-router.post('/click/:code', async (req, res) => {
+router.post('/click/:code', clickLimiter, async (req, res) => {
     try {
         const { code } = req.params;
         if (!code) return res.status(400).json({ error: 'Code required' });
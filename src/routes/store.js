@@ -1,8 +1,42 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
 const StoreItem = require('../models/StoreItem');
 const User = require('../models/User');
+const Profile = require('../models/Profile');
+const UserItem = require('../models/UserItem');
+const SystemConfig = require('../models/SystemConfig');
+const CrateOpening = require('../models/CrateOpening');
+const WishlistItem = require('../models/WishlistItem');
 const { optionalAuth, auth } = require('../middleware/auth');
+const { notify } = require('../services/notificationService');
+const {
+    EQUIP_SLOTS,
+    canUseItem,
+    getEquipUpdate,
+    getRemainingStock,
+    getAvailabilityError,
+    getPurchaseCapError,
+    claimStock,
+    formatSerial,
+    recordAcquisition,
+    markEquipped,
+    takeFromInventory,
+    removeFromInventory,
+    giveToInventory,
+    hasActiveListing
+} = require('../services/inventoryService');
+const {
+    getActiveSales,
+    getEffectivePrice,
+    getBundlePricing,
+    applyDiscount,
+    validateCoupon
+} = require('../services/pricingService');
+const { getDropTable, getDuplicateCredits, openCrate } = require('../services/crateService');
+const { purchaseItem } = require('../services/purchaseService');
+
+const BUNDLE_MEMBER_FIELDS = 'name imageUrl itemType rarity type price';
 
 // @route   GET /api/store
 // @desc    Get store items (optionally filtered by ?type=frame)
@@ -10,31 +44,64 @@ const { optionalAuth, auth } = require('../middleware/auth');
 router.get('/', optionalAuth, async (req, res) => {
     try {
         const { type } = req.query;
-        let query = { isActive: true };
+        const now = new Date();
+        // Ended drops drop out of the store; upcoming ones are listed but not yet available
+        let query = {
+            isActive: true,
+            $or: [{ availableUntil: null }, { availableUntil: { $gt: now } }]
+        };
 
         if (type) {
             query.itemType = type;
         }
 
-        const items = await StoreItem.find(query).sort({ rarity: 1, price: 1 });
+        const items = await StoreItem.find(query)
+            .sort({ rarity: 1, price: 1 })
+            .populate('bundleItems', BUNDLE_MEMBER_FIELDS);
+        const sales = await getActiveSales();
 
-        // Check ownership if logged in
-        let itemsWithStatus = items.map(item => ({
-            ...item.toObject(),
-            owned: false
-        }));
+        // Check ownership (and wishlist) if logged in
+        const user = req.user ? await User.findById(req.user.id) : null;
+        const inventoryIds = user ? user.inventory.items.map(i => i.toString()) : [];
+        const wishlistIds = user
+            ? (await WishlistItem.find({ user: user._id }).distinct('item')).map(id => id.toString())
+            : [];
 
-        if (req.user) {
-            const user = await User.findById(req.user.id);
-            if (user) {
-                // Check if item ID is in user inventory array
-                const inventoryIds = user.inventory.items.map(i => i.toString());
-                itemsWithStatus = items.map(item => ({
-                    ...item.toObject(),
-                    owned: inventoryIds.includes(item._id.toString()) || item.type === 'free'
-                }));
-            }
-        }
+        // Original + effective (sale) price and countdown, plus stock/availability
+        const withPricing = (item) => {
+            const pricing = getEffectivePrice(item, sales);
+            return {
+                ...item.toObject(),
+                originalPrice: pricing.originalPrice,
+                effectivePrice: pricing.price,
+                sale: pricing.sale,
+                remainingStock: getRemainingStock(item),
+                isAvailable: !getAvailabilityError(item, now),
+                wishlisted: wishlistIds.includes(item._id.toString())
+            };
+        };
+
+        // Bundles: contents with per-member ownership, and the price of the part not owned yet
+        const withBundle = (item) => {
+            const pricing = getBundlePricing(item, inventoryIds, sales);
+            const missingIds = pricing.missing.map(m => m._id.toString());
+            return {
+                ...withPricing(item),
+                effectivePrice: pricing.price,
+                bundlePrice: pricing.fullPrice,
+                memberValue: pricing.memberValue,
+                bundleItems: item.bundleItems.map(member => ({
+                    ...member.toObject(),
+                    owned: !missingIds.includes(member._id.toString())
+                })),
+                owned: user ? missingIds.length === 0 : false
+            };
+        };
+
+        const itemsWithStatus = items.map(item => (item.itemType === 'bundle' ? withBundle(item) : {
+            ...withPricing(item),
+            owned: user ? inventoryIds.includes(item._id.toString()) || item.type === 'free' : false
+        }));
 
         res.json(itemsWithStatus);
     } catch (error) {
@@ -72,73 +139,557 @@ router.get('/owned', auth, async (req, res) => {
         const unique = Array.from(new Set(filtered.map(a => a._id.toString())))
             .map(id => filtered.find(a => a._id.toString() === id));
 
-        res.json(unique);
+        // Serial numbers of limited copies
+        const records = await UserItem.find({ user: user._id, serialNumber: { $ne: null } });
+        const serials = new Map(records.map(r => [r.item.toString(), r.serialNumber]));
+
+        res.json(unique.map(item => {
+            const serialNumber = serials.get(item._id.toString()) || null;
+            return {
+                ...item.toObject(),
+                serialNumber,
+                serial: formatSerial(item, serialNumber)
+            };
+        }));
     } catch (error) {
         console.error('Get Owned Items Error:', error);
         res.status(500).json({ error: 'Server error' });
     }
 });
 
+// @route   GET /api/store/wishlist
+// @desc    Get my wishlist (with current price and whether I can afford it)
+// @access  Private
+router.get('/wishlist', auth, async (req, res) => {
+    try {
+        const entries = await WishlistItem.find({ user: req.user._id })
+            .sort({ createdAt: -1 })
+            .populate('item');
+        const sales = await getActiveSales();
+        const credits = req.user.credits || 0;
+
+        res.json(entries.filter(entry => entry.item).map(entry => {
+            const pricing = getEffectivePrice(entry.item, sales);
+            return {
+                ...entry.item.toObject(),
+                addedAt: entry.createdAt,
+                originalPrice: pricing.originalPrice,
+                effectivePrice: pricing.price,
+                sale: pricing.sale,
+                remainingStock: getRemainingStock(entry.item),
+                isAvailable: entry.item.isActive && !getAvailabilityError(entry.item),
+                canAfford: credits >= pricing.price
+            };
+        }));
+    } catch (error) {
+        console.error('Get Wishlist Error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// @route   POST /api/store/wishlist
+// @desc    Add an item to my wishlist (body: { itemId })
+// @access  Private
+router.post('/wishlist', auth, async (req, res) => {
+    try {
+        const { itemId } = req.body;
+        if (!itemId || !mongoose.Types.ObjectId.isValid(itemId)) {
+            return res.status(400).json({ error: 'Invalid item ID' });
+        }
+
+        const item = await StoreItem.findById(itemId);
+        if (!item || !item.isActive) return res.status(404).json({ error: 'Item not found' });
+
+        if (item.type === 'free' || canUseItem(req.user, item)) {
+            return res.status(400).json({ error: 'You already own this item' });
+        }
+
+        const entry = await WishlistItem.findOneAndUpdate(
+            { user: req.user._id, item: item._id },
+            { $setOnInsert: { user: req.user._id, item: item._id } },
+            { upsert: true, new: true }
+        );
+
+        res.status(201).json({ message: `${item.name} added to your wishlist`, entry });
+    } catch (error) {
+        console.error('Add Wishlist Error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// @route   DELETE /api/store/wishlist/:itemId
+// @desc    Remove an item from my wishlist
+// @access  Private
+router.delete('/wishlist/:itemId', auth, async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.itemId)) {
+            return res.status(400).json({ error: 'Invalid item ID' });
+        }
+
+        const result = await WishlistItem.deleteOne({ user: req.user._id, item: req.params.itemId });
+        if (!result.deletedCount) return res.status(404).json({ error: 'Item is not in your wishlist' });
+
+        res.json({ message: 'Removed from wishlist' });
+    } catch (error) {
+        console.error('Remove Wishlist Error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// @route   PUT /api/store/equip/:itemId
+// @desc    Equip an owned item into its profile slot (frame, cursor, background, audio, avatar, banner)
+// @access  Private
+router.put('/equip/:itemId', auth, async (req, res) => {
+    try {
+        const item = await StoreItem.findById(req.params.itemId);
+        if (!item) return res.status(404).json({ error: 'Item not found' });
+
+        if (!EQUIP_SLOTS[item.itemType]) {
+            return res.status(400).json({ error: `${item.itemType} items cannot be equipped` });
+        }
+
+        const user = await User.findById(req.user.id);
+        if (!canUseItem(user, item)) {
+            return res.status(403).json({ error: item.type === 'premium' ? 'Requires Premium' : 'You do not own this item' });
+        }
+
+        const profile = await Profile.findOneAndUpdate(
+            { user: user._id },
+            { $set: getEquipUpdate(item) },
+            { new: true }
+        ).populate('frame');
+
+        if (!profile) return res.status(404).json({ error: 'Profile not found' });
+
+        await markEquipped(user._id, [item]);
+
+        res.json({ message: `${item.name} equipped`, slot: item.itemType, profile });
+    } catch (error) {
+        console.error('Equip Item Error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// @route   DELETE /api/store/equip/:slot
+// @desc    Unequip whatever is in a slot (slot = itemType)
+// @access  Private
+router.delete('/equip/:slot', auth, async (req, res) => {
+    try {
+        const path = EQUIP_SLOTS[req.params.slot];
+        if (!path) return res.status(400).json({ error: 'Invalid slot' });
+
+        const profile = await Profile.findOneAndUpdate(
+            { user: req.user._id },
+            { $set: { [path]: req.params.slot === 'frame' ? null : '' } },
+            { new: true }
+        );
+
+        if (!profile) return res.status(404).json({ error: 'Profile not found' });
+
+        res.json({ message: `${req.params.slot} unequipped`, profile });
+    } catch (error) {
+        console.error('Unequip Item Error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// @route   GET /api/store/crates/openings
+// @desc    Get my crate openings (paginated)
+// @access  Private
+router.get('/crates/openings', auth, async (req, res) => {
+    try {
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+        const [openings, total] = await Promise.all([
+            CrateOpening.find({ user: req.user._id })
+                .sort({ createdAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit)
+                .select('-dropTable')
+                .populate('crate', 'name imageUrl')
+                .populate('item', 'name imageUrl itemType rarity'),
+            CrateOpening.countDocuments({ user: req.user._id })
+        ]);
+
+        res.json({
+            openings,
+            totalPages: Math.ceil(total / limit),
+            currentPage: page,
+            totalOpenings: total
+        });
+    } catch (error) {
+        console.error('Get Crate Openings Error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// @route   GET /api/store/crates/:id/odds
+// @desc    Published drop rates of a crate (per rarity and per item; logged in: the rates for that user)
+// @access  Public
+router.get('/crates/:id/odds', optionalAuth, async (req, res) => {
+    try {
+        const crate = await StoreItem.findById(req.params.id);
+        if (!crate || crate.itemType !== 'crate') return res.status(404).json({ error: 'Crate not found' });
+
+        const dropTable = await getDropTable(crate, req.user);
+
+        const rarities = {};
+        for (const entry of dropTable) {
+            rarities[entry.rarity] = (rarities[entry.rarity] || 0) + entry.chance;
+        }
+
+        res.json({
+            crate: { id: crate._id, name: crate.name, imageUrl: crate.imageUrl },
+            rarities: Object.entries(rarities).map(([rarity, chance]) => ({
+                rarity,
+                chance,
+                duplicateCredits: getDuplicateCredits(crate, rarity)
+            })),
+            items: dropTable.map(entry => ({
+                id: entry.item._id,
+                name: entry.item.name,
+                imageUrl: entry.item.imageUrl,
+                itemType: entry.item.itemType,
+                rarity: entry.rarity,
+                chance: entry.chance
+            }))
+        });
+    } catch (error) {
+        console.error('Get Crate Odds Error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// @route   POST /api/store/crates/:id/open
+// @desc    Open an owned crate (consumes it; duplicates are paid out in credits)
+// @access  Private
+router.post('/crates/:id/open', auth, async (req, res) => {
+    try {
+        const crate = await StoreItem.findById(req.params.id);
+        if (!crate || crate.itemType !== 'crate') return res.status(404).json({ error: 'Crate not found' });
+
+        const user = await User.findById(req.user.id);
+        const result = await openCrate(user, crate);
+        if (result.error) {
+            return res.status(400).json({ error: result.error });
+        }
+
+        const { opening, item } = result;
+
+        res.json({
+            message: opening.duplicate
+                ? `Duplicate ${item.name}: +${opening.creditsAwarded} credits`
+                : `You got ${item.name}!`,
+            item,
+            rarity: opening.rarity,
+            duplicate: opening.duplicate,
+            creditsAwarded: opening.creditsAwarded,
+            serialNumber: opening.serialNumber,
+            serial: formatSerial(item, opening.serialNumber),
+            openingId: opening._id,
+            seed: opening.seed,
+            newBalance: user.credits
+        });
+    } catch (error) {
+        console.error('Open Crate Error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// @route   GET /api/store/:id/price
+// @desc    Preview an item's price with current sales and an optional ?coupon=CODE
+// @access  Private
+router.get('/:id/price', auth, async (req, res) => {
+    try {
+        const item = await StoreItem.findById(req.params.id).populate('bundleItems', BUNDLE_MEMBER_FIELDS);
+        if (!item || !item.isActive) return res.status(404).json({ error: 'Item not found' });
+
+        // Bundles are priced on the members the user doesn't own yet
+        const sales = await getActiveSales();
+        const pricing = item.itemType === 'bundle'
+            ? getBundlePricing(item, req.user.inventory?.items || [], sales)
+            : getEffectivePrice(item, sales);
+        let price = pricing.price;
+        let coupon = null;
+
+        if (req.query.coupon) {
+            const result = await validateCoupon(req.query.coupon, item, req.user._id);
+            if (result.error) {
+                return res.status(400).json({ error: result.error });
+            }
+            price = applyDiscount(price, result.coupon);
+            coupon = { code: result.coupon.code, discountType: result.coupon.discountType, discountValue: result.coupon.discountValue };
+        }
+
+        res.json({
+            originalPrice: pricing.originalPrice,
+            salePrice: pricing.price,
+            price,
+            sale: pricing.sale,
+            coupon
+        });
+    } catch (error) {
+        console.error('Price Preview Error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
 // @route   POST /api/store/:id/buy
-// @desc    Buy/Claim an item
+// @desc    Buy/Claim an item (optional couponCode; send an Idempotency-Key header to make retries safe)
 // @access  Private
 router.post('/:id/buy', auth, async (req, res) => {
+    try {
+        const { status, body } = await purchaseItem(req.user._id, req.params.id, {
+            couponCode: req.body.couponCode,
+            idempotencyKey: req.header('Idempotency-Key') || req.body.idempotencyKey
+        });
+        res.status(status).json(body);
+    } catch (error) {
+        console.error('Buy Item Error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// @route   POST /api/store/:id/refund
+// @desc    Refund a purchase (within the refund window and never equipped)
+// @access  Private
+router.post('/:id/refund', auth, async (req, res) => {
     try {
         const item = await StoreItem.findById(req.params.id);
         if (!item) return res.status(404).json({ error: 'Item not found' });
-        if (!item.isActive) return res.status(400).json({ error: 'Item not active' });
 
-        const user = await User.findById(req.user.id);
+        const config = await SystemConfig.getOrCreate();
+        const windowStart = new Date(Date.now() - config.store.refundWindowHours * 60 * 60 * 1000);
 
-        if (user.inventory.items.includes(item._id)) {
-            return res.status(400).json({ error: 'You already own this item' });
+        // Claim the record atomically so the same purchase can't be refunded twice
+        const record = await UserItem.findOneAndDelete({
+            user: req.user._id,
+            item: item._id,
+            source: 'purchase',
+            pricePaid: { $gt: 0 },
+            acquiredAt: { $gte: windowStart },
+            equippedAt: null
+        });
+
+        if (!record) {
+            return res.status(400).json({
+                error: `Only purchases made in the last ${config.store.refundWindowHours}h that were never equipped can be refunded`
+            });
+        }
+
+        const removed = await removeFromInventory(req.user._id, item);
+        if (!removed) {
+            // Put the claimed record back so the purchase history isn't lost
+            await UserItem.create(record.toObject());
+            return res.status(400).json({ error: 'You do not own this item' });
+        }
+
+        const user = await User.findById(req.user._id);
+        try {
+            await user.addCredits(record.pricePaid, 'refund', `Refund: ${item.name}`, item._id, { type: 'refund' });
+        } catch (creditError) {
+            // Not refunded: hand the copy back before failing
+            const { source, pricePaid, acquiredAt, equippedAt, serialNumber } = record;
+            await giveToInventory(req.user._id, item, { source, pricePaid, acquiredAt, equippedAt, serialNumber });
+            throw creditError;
+        }
+
+        res.json({
+            message: `Refunded ${record.pricePaid} credits for ${item.name}`,
+            refunded: record.pricePaid,
+            newBalance: user.credits
+        });
+    } catch (error) {
+        console.error('Refund Item Error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// @route   POST /api/store/:id/sell
+// @desc    Sell an owned item back to the store for a percentage of what was paid for it (0 if it wasn't bought)
+// @access  Private
+router.post('/:id/sell', auth, async (req, res) => {
+    try {
+        const item = await StoreItem.findById(req.params.id);
+        if (!item) return res.status(404).json({ error: 'Item not found' });
+
+        if (item.type === 'free' || item.type === 'premium' || item.price <= 0 || item.currency !== 'credits') {
+            return res.status(400).json({ error: 'This item cannot be sold back' });
         }
 
-        // Check conditions
-        if (item.type === 'premium' && !user.isPremium) {
-            return res.status(403).json({ error: 'Requires Premium' });
+        const config = await SystemConfig.getOrCreate();
+
+        const copy = await takeFromInventory(req.user._id, item);
+        if (!copy) {
+            return res.status(400).json({ error: 'You do not own this item' });
         }
 
-        // Credit check for 'purchase' type items or items with credit price
-        if ((item.type === 'purchase' || item.price > 0) && item.currency === 'credits') {
-            if (!user.credits || user.credits < item.price) {
-                return res.status(400).json({
-                    error: 'Insufficient credits',
-                    required: item.price,
-                    current: user.credits || 0
-                });
+        // Based on the price actually paid, so discounts can't be turned into credits.
+        // Crate drops, gifts and trades weren't bought by this user and pay nothing.
+        const purchased = ['purchase', 'marketplace'].includes(copy.source);
+        const payout = purchased ? Math.floor(copy.pricePaid * config.store.sellBackPercent / 100) : 0;
+
+        const user = await User.findById(req.user._id);
+        if (payout > 0) {
+            try {
+                await user.addCredits(payout, 'sell_back', `Sold ${item.name} back to the store`, item._id);
+            } catch (creditError) {
+                // Not paid: hand the copy back before failing
+                await giveToInventory(req.user._id, item, copy);
+                throw creditError;
             }
+        }
+
+        res.json({
+            message: `Sold ${item.name} for ${payout} credits`,
+            payout,
+            newBalance: user.credits
+        });
+    } catch (error) {
+        console.error('Sell Item Error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// @route   POST /api/store/:id/gift
+// @desc    Buy an item for another user (body: { username, message })
+// @access  Private
+router.post('/:id/gift', auth, async (req, res) => {
+    try {
+        const { username } = req.body;
+        const message = typeof req.body.message === 'string' ? req.body.message.trim() : '';
 
-            // Deduct credits
-            await user.spendCredits(item.price, item._id, `Purchased ${item.name}`);
-        } else if (item.type === 'purchase' && item.currency !== 'credits') {
-            // For now, if currency isn't credits, we might need other logic (e.g. stripe in future)
-            // But for validation, if it's 'purchase' and not 'credits', maybe we just let it pass 
-            // or block it if we don't have other payment methods yet.
-            // Assuming credits is default for 'purchase' type for now.
-            // If price > 0 but currency is different, handle it.
+        if (!username || typeof username !== 'string') {
+            return res.status(400).json({ error: 'Username is required' });
+        }
+        if (message.length > 200) {
+            return res.status(400).json({ error: 'Message must be 200 characters or less' });
         }
 
-        user.inventory.items.push(item._id);
+        const item = await StoreItem.findById(req.params.id);
+        if (!item) return res.status(404).json({ error: 'Item not found' });
+        if (!item.isActive) return res.status(400).json({ error: 'Item not active' });
 
-        // Mark as early supporter if it was a purchase or premium item
-        if (item.type === 'purchase' || item.type === 'premium') {
-            user.isEarlySupporter = true;
+        if (item.type === 'free' || item.price <= 0 || item.currency !== 'credits') {
+            return res.status(400).json({ error: 'Only items purchased with credits can be gifted' });
+        }
+        if (item.type === 'exclusive') {
+            return res.status(403).json({ error: 'Exclusive items cannot be gifted' });
+        }
+        if (item.itemType === 'bundle') {
+            return res.status(400).json({ error: 'Bundles cannot be gifted' });
         }
 
-        await user.save();
+        const sender = await User.findById(req.user.id);
+        const recipient = await User.findOne({ username: username.toLowerCase() });
 
-        // Check for automatic badges (supporter badge etc)
-        const { checkAutomaticBadges } = require('../services/badgeService');
-        await checkAutomaticBadges(user._id);
+        if (!recipient) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        if (recipient._id.equals(sender._id)) {
+            return res.status(400).json({ error: 'Use buy to purchase items for yourself' });
+        }
+        if (recipient.inventory.items.includes(item._id) || await hasActiveListing(recipient._id, item._id)) {
+            return res.status(400).json({ error: `${recipient.username} already owns this item` });
+        }
+        if (item.type === 'premium' && !recipient.isPremium) {
+            return res.status(403).json({ error: `${recipient.username} needs Premium to own this item` });
+        }
+
+        const availabilityError = getAvailabilityError(item);
+        if (availabilityError) {
+            return res.status(400).json({ error: availabilityError });
+        }
+
+        const capError = await getPurchaseCapError(sender._id, item);
+        if (capError) {
+            return res.status(403).json({ error: capError });
+        }
+
+        const price = getEffectivePrice(item, await getActiveSales()).price;
+
+        if ((sender.credits || 0) < price) {
+            return res.status(400).json({
+                error: 'Insufficient credits',
+                required: price,
+                current: sender.credits || 0
+            });
+        }
+
+        // Claim the recipient's inventory slot atomically
+        const claimed = await User.updateOne(
+            { _id: recipient._id, 'inventory.items': { $ne: item._id } },
+            { $push: { 'inventory.items': item._id } }
+        );
+        if (!claimed.modifiedCount) {
+            return res.status(400).json({ error: `${recipient.username} already owns this item` });
+        }
+
+        // Charge the sender; both sides share a transferId in their credit history
+        const transferId = new mongoose.Types.ObjectId();
+        try {
+            const { balance } = await User.applyCreditChange(sender._id, -price, {
+                type: 'spent',
+                source: 'purchase',
+                description: `Gifted ${item.name} to ${recipient.username}`,
+                relatedItem: item._id,
+                transferId,
+                counterparty: recipient._id,
+                message: message || undefined,
+                idempotencyKey: req.header('Idempotency-Key') || req.body.idempotencyKey
+            });
+            sender.syncCredits(balance);
+        } catch (spendError) {
+            await User.updateOne({ _id: recipient._id }, { $pull: { 'inventory.items': item._id } });
+
+            if (spendError.code === 'DUPLICATE_REQUEST') {
+                return res.status(409).json({ error: 'Gift already processed' });
+            }
+            if (spendError.message === 'Insufficient credits') {
+                return res.status(400).json({ error: 'Insufficient credits', required: price });
+            }
+            throw spendError;
+        }
+
+        const stock = await claimStock(item);
+        if (!stock) {
+            await User.updateOne({ _id: recipient._id }, { $pull: { 'inventory.items': item._id } });
+            await sender.addCredits(price, 'refund', `Refund: ${item.name} sold out`, item._id, { type: 'refund' });
+            return res.status(400).json({ error: 'Sold out', newBalance: sender.credits });
+        }
+
+        await recordAcquisition(recipient._id, item, { source: 'gift', serialNumber: stock.serialNumber });
+
+        await User.applyCreditChange(recipient._id, 0, {
+            type: 'transfer',
+            source: 'purchase',
+            description: `Received ${item.name} from ${sender.username}`,
+            relatedItem: item._id,
+            transferId,
+            counterparty: sender._id,
+            message: message || undefined
+        });
+
+        await notify(recipient._id, 'item_gift_received', {
+            title: `${sender.displayName || sender.username} sent you ${item.name}`,
+            message,
+            data: {
+                transferId,
+                item: { id: item._id, name: item.name, imageUrl: item.imageUrl, itemType: item.itemType },
+                from: { id: sender._id, username: sender.username }
+            }
+        });
 
         res.json({
-            message: 'Item acquired!',
+            message: `Gifted ${item.name} to ${recipient.username}`,
             item,
-            newBalance: user.credits
+            pricePaid: price,
+            serial: formatSerial(item, stock.serialNumber),
+            newBalance: sender.credits
         });
     } catch (error) {
-        console.error('Buy Item Error:', error);
+        console.error('Gift Item Error:', error);
         res.status(500).json({ error: 'Server error' });
     }
 });
@@ -0,0 +1,336 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const Trade = require('../models/Trade');
+const User = require('../models/User');
+const SystemConfig = require('../models/SystemConfig');
+const { auth } = require('../middleware/auth');
+const { notify } = require('../services/notificationService');
+const { expireStaleTrades, validateOffer, executeTrade } = require('../services/tradeService');
+const { withGiftLock } = require('../services/giftService');
+
+const TRADE_USER_FIELDS = 'username displayName avatar';
+const TRADE_ITEM_FIELDS = 'name imageUrl itemType rarity';
+
+const populateTrade = (query) => query
+    .populate('initiator', TRADE_USER_FIELDS)
+    .populate('recipient', TRADE_USER_FIELDS)
+    .populate('initiatorItems', TRADE_ITEM_FIELDS)
+    .populate('recipientItems', TRADE_ITEM_FIELDS);
+
+// Creates a pending offer from `from` to `to` after validating it
+const createOffer = async (from, to, body, counterOf = null) => {
+    const message = typeof body.message === 'string' ? body.message.trim() : '';
+    if (message.length > 200) {
+        return { status: 400, error: 'Message must be 200 characters or less' };
+    }
+
+    const config = await SystemConfig.getOrCreate();
+    const limits = config.trading;
+
+    const pending = await Trade.countDocuments({ initiator: from._id, status: 'pending' });
+    if (pending >= limits.maxPendingOffers) {
+        return { status: 429, error: `You can have at most ${limits.maxPendingOffers} pending offers` };
+    }
+
+    const offer = await validateOffer(from, to, body, limits, config.gifting);
+    if (offer.error) {
+        return { status: 400, error: offer.error };
+    }
+
+    const trade = await Trade.create({
+        initiator: from._id,
+        recipient: to._id,
+        initiatorItems: offer.offerItems.map(i => i._id),
+        initiatorCredits: offer.offerCredits,
+        recipientItems: offer.requestItems.map(i => i._id),
+        recipientCredits: offer.requestCredits,
+        message,
+        counterOf,
+        expiresAt: new Date(Date.now() + limits.offerExpiryHours * 60 * 60 * 1000)
+    });
+
+    return { trade };
+};
+
+// @route   GET /api/trades
+// @desc    My trade history (?role=sent|received, ?status=, paginated)
+// @access  Private
+router.get('/', auth, async (req, res) => {
+    try {
+        await expireStaleTrades();
+
+        const { role, status } = req.query;
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 50);
+
+        let query;
+        if (role === 'sent') query = { initiator: req.user._id };
+        else if (role === 'received') query = { recipient: req.user._id };
+        else query = { $or: [{ initiator: req.user._id }, { recipient: req.user._id }] };
+        if (status) query.status = status;
+
+        const [trades, total] = await Promise.all([
+            populateTrade(Trade.find(query).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit)),
+            Trade.countDocuments(query)
+        ]);
+
+        res.json({
+            trades,
+            totalPages: Math.ceil(total / limit),
+            currentPage: page,
+            totalTrades: total
+        });
+    } catch (error) {
+        console.error('Get Trades Error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// @route   GET /api/trades/:id
+// @desc    Get a trade I'm part of
+// @access  Private
+router.get('/:id', auth, async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(404).json({ error: 'Trade not found' });
+        }
+
+        await expireStaleTrades();
+
+        const trade = await populateTrade(Trade.findOne({
+            _id: req.params.id,
+            $or: [{ initiator: req.user._id }, { recipient: req.user._id }]
+        }));
+
+        if (!trade) return res.status(404).json({ error: 'Trade not found' });
+        res.json(trade);
+    } catch (error) {
+        console.error('Get Trade Error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// @route   POST /api/trades
+// @desc    Send a trade offer (body: { username, offerItems, requestItems, offerCredits, requestCredits, message })
+// @access  Private
+router.post('/', auth, async (req, res) => {
+    try {
+        const { username } = req.body;
+        if (!username || typeof username !== 'string') {
+            return res.status(400).json({ error: 'Username is required' });
+        }
+
+        const sender = await User.findById(req.user.id);
+        const recipient = await User.findOne({ username: username.toLowerCase() });
+
+        if (!recipient) return res.status(404).json({ error: 'User not found' });
+        if (recipient._id.equals(sender._id)) {
+            return res.status(400).json({ error: 'You cannot trade with yourself' });
+        }
+        if (recipient.isBanned) {
+            return res.status(400).json({ error: 'This user cannot trade' });
+        }
+
+        const result = await createOffer(sender, recipient, req.body);
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+
+        await notify(recipient._id, 'trade_offer', {
+            title: `${sender.displayName || sender.username} sent you a trade offer`,
+            message: result.trade.message,
+            data: { tradeId: result.trade._id, from: { id: sender._id, username: sender.username } }
+        });
+
+        res.status(201).json(await populateTrade(Trade.findById(result.trade._id)));
+    } catch (error) {
+        console.error('Create Trade Error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// @route   POST /api/trades/:id/accept
+// @desc    Accept a pending offer sent to me; items and credits swap hands
+// @access  Private
+router.post('/:id/accept', auth, async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(404).json({ error: 'Trade not found' });
+        }
+
+        await expireStaleTrades();
+
+        // Claim the offer atomically so it can't be accepted twice (or cancelled mid-swap)
+        const trade = await Trade.findOneAndUpdate(
+            { _id: req.params.id, recipient: req.user._id, status: 'pending' },
+            { $set: { status: 'accepted', respondedAt: new Date() } },
+            { new: true }
+        );
+        if (!trade) return res.status(404).json({ error: 'Pending trade not found' });
+
+        const [initiator, recipient, config] = await Promise.all([
+            User.findById(trade.initiator),
+            User.findById(trade.recipient),
+            SystemConfig.getOrCreate()
+        ]);
+
+        // Both sides' credits are sent under their gift locks so the daily limits hold against parallel gifts
+        const payers = [];
+        if (trade.initiatorCredits > 0) payers.push(trade.initiator);
+        if (trade.recipientCredits > 0) payers.push(trade.recipient);
+
+        let result;
+        try {
+            const locked = await withGiftLock(payers, async () => {
+                if (!initiator || !recipient || initiator.isBanned) {
+                    return { error: 'The other user can no longer trade' };
+                }
+
+                // Ownership, tradability, listings, balances and gift limits may have changed since the offer
+                const offer = await validateOffer(initiator, recipient, {
+                    offerItems: trade.initiatorItems,
+                    requestItems: trade.recipientItems,
+                    offerCredits: trade.initiatorCredits,
+                    requestCredits: trade.recipientCredits
+                }, config.trading, config.gifting);
+                if (offer.error) return offer;
+
+                return executeTrade(trade);
+            });
+
+            if (locked.busy) {
+                // Nothing changed hands: put the offer back so it can be accepted again
+                await Trade.updateOne({ _id: trade._id }, { $set: { status: 'pending', respondedAt: null } });
+                return res.status(409).json({ error: 'A credit transfer is in progress, please try again' });
+            }
+            result = locked.result;
+        } catch (executeError) {
+            await Trade.updateOne({ _id: trade._id }, { $set: { status: 'failed', failureReason: 'Server error' } });
+            throw executeError;
+        }
+
+        if (result.error) {
+            await Trade.updateOne({ _id: trade._id }, { $set: { status: 'failed', failureReason: result.error } });
+            return res.status(409).json({ error: result.error });
+        }
+
+        await Trade.updateOne({ _id: trade._id }, { $set: { transferId: trade.transferId } });
+
+        const accepter = await User.findById(req.user.id);
+        await notify(trade.initiator, 'trade_accepted', {
+            title: `${accepter.displayName || accepter.username} accepted your trade`,
+            data: { tradeId: trade._id }
+        });
+
+        res.json({
+            message: 'Trade completed',
+            trade: await populateTrade(Trade.findById(trade._id)),
+            newBalance: accepter.credits
+        });
+    } catch (error) {
+        console.error('Accept Trade Error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// @route   POST /api/trades/:id/decline
+// @desc    Decline a pending offer sent to me
+// @access  Private
+router.post('/:id/decline', auth, async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(404).json({ error: 'Trade not found' });
+        }
+
+        await expireStaleTrades();
+
+        const trade = await Trade.findOneAndUpdate(
+            { _id: req.params.id, recipient: req.user._id, status: 'pending' },
+            { $set: { status: 'declined', respondedAt: new Date() } },
+            { new: true }
+        );
+        if (!trade) return res.status(404).json({ error: 'Pending trade not found' });
+
+        await notify(trade.initiator, 'trade_declined', {
+            title: `${req.user.displayName || req.user.username} declined your trade`,
+            data: { tradeId: trade._id }
+        });
+
+        res.json({ message: 'Trade declined', trade });
+    } catch (error) {
+        console.error('Decline Trade Error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// @route   POST /api/trades/:id/counter
+// @desc    Counter a pending offer sent to me (same body as a new offer, from my side)
+// @access  Private
+router.post('/:id/counter', auth, async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(404).json({ error: 'Trade not found' });
+        }
+
+        await expireStaleTrades();
+
+        const original = await Trade.findOne({ _id: req.params.id, recipient: req.user._id, status: 'pending' });
+        if (!original) return res.status(404).json({ error: 'Pending trade not found' });
+
+        const me = await User.findById(req.user.id);
+        const other = await User.findById(original.initiator);
+        if (!other) return res.status(404).json({ error: 'User not found' });
+
+        const result = await createOffer(me, other, req.body, original._id);
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+
+        // Close the original; if it changed state meanwhile, withdraw the counter
+        const closed = await Trade.updateOne(
+            { _id: original._id, status: 'pending' },
+            { $set: { status: 'countered', counteredBy: result.trade._id, respondedAt: new Date() } }
+        );
+        if (!closed.modifiedCount) {
+            await Trade.deleteOne({ _id: result.trade._id });
+            return res.status(409).json({ error: 'This offer is no longer pending' });
+        }
+
+        await notify(other._id, 'trade_countered', {
+            title: `${me.displayName || me.username} countered your trade offer`,
+            message: result.trade.message,
+            data: { tradeId: result.trade._id, counterOf: original._id, from: { id: me._id, username: me.username } }
+        });
+
+        res.status(201).json(await populateTrade(Trade.findById(result.trade._id)));
+    } catch (error) {
+        console.error('Counter Trade Error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// @route   DELETE /api/trades/:id
+// @desc    Cancel a pending offer I sent
+// @access  Private
+router.delete('/:id', auth, async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(404).json({ error: 'Trade not found' });
+        }
+
+        const trade = await Trade.findOneAndUpdate(
+            { _id: req.params.id, initiator: req.user._id, status: 'pending' },
+            { $set: { status: 'cancelled', respondedAt: new Date() } },
+            { new: true }
+        );
+        if (!trade) return res.status(404).json({ error: 'Pending trade not found' });
+
+        res.json({ message: 'Trade cancelled', trade });
+    } catch (error) {
+        console.error('Cancel Trade Error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+module.exports = router;
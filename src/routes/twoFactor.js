@@ -0,0 +1,166 @@
+const express = require('express');
+const router = express.Router();
+const User = require('../models/User');
+const Session = require('../models/Session');
+const SystemConfig = require('../models/SystemConfig');
+const { auth } = require('../middleware/auth');
+const {
+    startEnrollment,
+    confirmEnrollment,
+    verifyCode,
+    regenerateBackupCodes,
+    disableTwoFactor,
+    isTwoFactorRequired
+} = require('../services/twoFactorService');
+const { revokeAllSessions } = require('../services/sessionService');
+const { getLockout, recordFailure, clearFailures } = require('../middleware/rateLimit');
+
+// Shares the 2fa:<userId> lockout with /login/2fa, so a stolen session can't brute-force codes here
+const lockedResponse = (res, retryAfter) => {
+    res.set('Retry-After', String(retryAfter));
+    return res.status(429).json({ error: 'Too many failed attempts, two-factor temporarily locked', retryAfter });
+};
+
+/**
+ * Records a failed code (or password) check and sends the 401, or the 429 once the lockout kicks in.
+ */
+const failedAttempt = async (res, lockKey, error) => {
+    const lockedNow = await recordFailure(lockKey);
+    if (lockedNow) {
+        return lockedResponse(res, lockedNow);
+    }
+    return res.status(401).json({ error });
+};
+
+// @route   GET /api/auth/2fa
+// @desc    My 2FA status (enabled, backup codes left, whether my role requires it)
+// @access  Private
+router.get('/', auth, async (req, res) => {
+    try {
+        const [user, config] = await Promise.all([
+            User.findById(req.user._id).select('+twoFactor.backupCodes'),
+            SystemConfig.getOrCreate()
+        ]);
+
+        res.json({
+            enabled: Boolean(user.twoFactor?.enabled),
+            enabledAt: user.twoFactor?.enabledAt || null,
+            backupCodesRemaining: user.twoFactor?.backupCodes?.length || 0,
+            required: isTwoFactorRequired(user, config)
+        });
+    } catch (error) {
+        console.error('Get 2FA Status Error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Start enrollment: returns the secret and otpauth:// URI to show as a QR code
+// @access  Private
+router.post('/setup', auth, async (req, res) => {
+    try {
+        if (req.user.twoFactor?.enabled) {
+            return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+        }
+
+        const { secret, otpauthUrl } = await startEnrollment(req.user);
+        res.json({ secret, otpauthUrl });
+    } catch (error) {
+        console.error('2FA Setup Error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// @route   POST /api/auth/2fa/enable
+// @desc    Confirm enrollment with a code from the app; returns backup codes (shown once) and signs out other sessions
+// @access  Private
+router.post('/enable', auth, async (req, res) => {
+    try {
+        if (req.user.twoFactor?.enabled) {
+            return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+        }
+
+        const backupCodes = await confirmEnrollment(req.user._id, req.body.code);
+        if (!backupCodes) {
+            return res.status(400).json({ error: 'Invalid code or no enrollment in progress' });
+        }
+
+        // Sessions that only used a password must log in again; this one just passed a code
+        await Session.updateOne({ _id: req.sessionId }, { $set: { twoFactorVerified: true } });
+        const revoked = await revokeAllSessions(req.user._id, req.sessionId);
+
+        res.json({ message: 'Two-factor authentication enabled', backupCodes, sessionsRevoked: revoked });
+    } catch (error) {
+        console.error('2FA Enable Error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// @route   POST /api/auth/2fa/backup-codes
+// @desc    Replace my backup codes (needs a current code)
+// @access  Private
+router.post('/backup-codes', auth, async (req, res) => {
+    try {
+        if (!req.user.twoFactor?.enabled) {
+            return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+        }
+
+        const lockKey = `2fa:${req.user._id}`;
+        const lockedFor = await getLockout(lockKey);
+        if (lockedFor) {
+            return lockedResponse(res, lockedFor);
+        }
+
+        if (!(await verifyCode(req.user._id, req.body.code))) {
+            return failedAttempt(res, lockKey, 'Invalid two-factor code');
+        }
+        await clearFailures(lockKey);
+
+        const backupCodes = await regenerateBackupCodes(req.user._id);
+        res.json({ backupCodes });
+    } catch (error) {
+        console.error('2FA Backup Codes Error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Turn 2FA off (needs my password and a current code)
+// @access  Private
+router.post('/disable', auth, async (req, res) => {
+    try {
+        const { password, code } = req.body;
+
+        if (!req.user.twoFactor?.enabled) {
+            return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+        }
+
+        const config = await SystemConfig.getOrCreate();
+        if (isTwoFactorRequired(req.user, config)) {
+            return res.status(403).json({ error: 'Two-factor authentication is required for your role' });
+        }
+
+        const lockKey = `2fa:${req.user._id}`;
+        const lockedFor = await getLockout(lockKey);
+        if (lockedFor) {
+            return lockedResponse(res, lockedFor);
+        }
+
+        const user = await User.findById(req.user._id);
+        if (!password || !(await user.comparePassword(password))) {
+            return failedAttempt(res, lockKey, 'Password is incorrect');
+        }
+        if (!(await verifyCode(req.user._id, code))) {
+            return failedAttempt(res, lockKey, 'Invalid two-factor code');
+        }
+        await clearFailures(lockKey);
+
+        await disableTwoFactor(req.user._id);
+        res.json({ message: 'Two-factor authentication disabled' });
+    } catch (error) {
+        console.error('2FA Disable Error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+module.exports = router;
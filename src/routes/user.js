@@ -1,6 +1,7 @@
 const express = require('express');
 const User = require('../models/User');
 const Profile = require('../models/Profile');
+const XPEvent = require('../models/XPEvent');
 const { auth } = require('../middleware/auth');
 
 const router = express.Router();
@@ -28,6 +29,40 @@ router.get('/check-username/:username', async (req, res) => {
     }
 });
 
+// @route   GET /api/users/@me/xp
+// @desc    Get XP history and progress to next level
+// @access  Private
+router.get('/@me/xp', auth, async (req, res) => {
+    try {
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+        const user = await User.findById(req.user._id);
+
+        const query = { user: user._id };
+        if (req.query.source) query.source = req.query.source;
+
+        const events = await XPEvent.find(query)
+            .sort({ createdAt: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit)
+            .select('-user');
+
+        const total = await XPEvent.countDocuments(query);
+
+        res.json({
+            progress: user.getLevelProgress(),
+            history: events,
+            totalPages: Math.ceil(total / limit),
+            currentPage: page,
+            totalEvents: total
+        });
+    } catch (error) {
+        console.error('Get XP history error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
 // @route   GET /api/users/:username
 // @desc    Get user public info by username
 // @access  Public
@@ -0,0 +1,58 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const AuthToken = require('../models/AuthToken');
+
+// Lifetime per purpose, in minutes
+const TOKEN_TTL_MINUTES = {
+    email_verification: parseInt(process.env.EMAIL_VERIFICATION_TTL_MINUTES) || 24 * 60,
+    password_reset: parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60
+};
+
+/**
+ * Issues a signed single-use token for a user. Older unused tokens for the same purpose stop working.
+ * @param {Object} user - The user document.
+ * @param {string} purpose - 'email_verification' or 'password_reset'.
+ * @returns {string} The token to put in the email link.
+ */
+const issueToken = async (user, purpose) => {
+    const ttlMinutes = TOKEN_TTL_MINUTES[purpose];
+    const jti = crypto.randomBytes(16).toString('hex');
+
+    await AuthToken.deleteMany({ user: user._id, purpose, usedAt: null });
+    await AuthToken.create({
+        user: user._id,
+        purpose,
+        jti,
+        email: user.email,
+        expiresAt: new Date(Date.now() + ttlMinutes * 60 * 1000)
+    });
+
+    return jwt.sign({ userId: user._id, purpose, jti }, process.env.JWT_SECRET, { expiresIn: ttlMinutes * 60 });
+};
+
+/**
+ * Checks a token's signature, purpose and expiry and marks it used (atomically, so it only works once).
+ * @param {string} token - The token from the email link.
+ * @param {string} purpose - The purpose it must have been issued for.
+ * @returns {Object|null} The AuthToken record ({ user, email, ... }) or null if invalid.
+ */
+const consumeToken = async (token, purpose) => {
+    let decoded;
+    try {
+        decoded = jwt.verify(String(token || ''), process.env.JWT_SECRET);
+    } catch (error) {
+        return null;
+    }
+    if (decoded.purpose !== purpose || !decoded.jti) return null;
+
+    return AuthToken.findOneAndUpdate(
+        { jti: decoded.jti, purpose, user: decoded.userId, usedAt: null, expiresAt: { $gt: new Date() } },
+        { $set: { usedAt: new Date() } },
+        { new: true }
+    );
+};
+
+module.exports = {
+    issueToken,
+    consumeToken
+};
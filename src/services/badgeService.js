@@ -1,6 +1,8 @@
 const Badge = require('../models/Badge');
 const User = require('../models/User');
+const UserBadge = require('../models/UserBadge');
 const { getDiscordMemberInfo } = require('./discordService');
+const { notify } = require('./notificationService');
 
 /**
  * Initializes system badges if they don't exist.
@@ -210,6 +212,69 @@ const initSystemBadges = async () => {
     }
 };
 
+/**
+ * Checks whether a user's badges array contains a badge (works with populated or raw ids).
+ * @param {Object} user - The user document.
+ * @param {Object} badgeId - The badge ObjectId.
+ */
+const hasBadge = (user, badgeId) => {
+    return (user.badges || []).some(b => (b._id || b).toString() === badgeId.toString());
+};
+
+/**
+ * Grants a badge: records the UserBadge row (with earnedAt) and adds it to User.badges.
+ * The caller is responsible for saving the user document.
+ * @param {Object} user - The user document.
+ * @param {Object} badge - The badge document.
+ * @returns {boolean} True if the badge was newly added to the user.
+ */
+const awardBadge = async (user, badge) => {
+    if (!user.badges) user.badges = [];
+
+    if (hasBadge(user, badge._id)) {
+        // Legacy holder without a row: backfill it like migrateUserBadges does (the real award time is unknown)
+        await UserBadge.updateOne(
+            { user: user._id, badge: badge._id },
+            { $setOnInsert: { earnedAt: user.createdAt || new Date() } },
+            { upsert: true }
+        );
+        return false;
+    }
+
+    const result = await UserBadge.updateOne(
+        { user: user._id, badge: badge._id },
+        { $setOnInsert: { earnedAt: new Date() } },
+        { upsert: true }
+    );
+
+    user.badges.push(badge._id);
+
+    if (result.upsertedCount) {
+        await notify(user._id, 'badge_awarded', {
+            title: `You earned the ${badge.name} badge`,
+            message: badge.description || '',
+            data: { badge: { id: badge._id, name: badge.name, icon: badge.icon } }
+        });
+    }
+    return true;
+};
+
+/**
+ * Revokes a badge: deletes the UserBadge row and removes it from User.badges.
+ * The caller is responsible for saving the user document.
+ * @param {Object} user - The user document.
+ * @param {Object} badge - The badge document.
+ * @returns {boolean} True if the user had the badge.
+ */
+const revokeBadge = async (user, badge) => {
+    await UserBadge.deleteOne({ user: user._id, badge: badge._id });
+
+    if (!hasBadge(user, badge._id)) return false;
+
+    user.badges = user.badges.filter(b => (b._id || b).toString() !== badge._id.toString());
+    return true;
+};
+
 /**
  * Syncs Discord-related badges for a user.
  * @param {Object} user - The user document.
@@ -227,32 +292,22 @@ const syncUserDiscordBadges = async (user) => {
         const memberBadge = badges.find(b => b.systemKey === 'discord_member');
         const boosterBadge = badges.find(b => b.systemKey === 'discord_booster');
 
-        if (!user.badges) user.badges = [];
-        const currentBadgeIds = user.badges.map(b => b.toString());
         let updated = false;
 
         // Handle Membership
-        if (memberInfo.is_member && memberBadge) {
-            if (!currentBadgeIds.includes(memberBadge._id.toString())) {
-                user.badges.push(memberBadge._id);
-                updated = true;
-            }
-        } else if (!memberInfo.is_member && memberBadge) {
-            if (currentBadgeIds.includes(memberBadge._id.toString())) {
-                user.badges = user.badges.filter(id => id.toString() !== memberBadge._id.toString());
+        if (memberBadge) {
+            if (memberInfo.is_member) {
+                if (await awardBadge(user, memberBadge)) updated = true;
+            } else if (await revokeBadge(user, memberBadge)) {
                 updated = true;
             }
         }
 
         // Handle Boosting
-        if (memberInfo.is_booster && boosterBadge) {
-            if (!currentBadgeIds.includes(boosterBadge._id.toString())) {
-                user.badges.push(boosterBadge._id);
-                updated = true;
-            }
-        } else if (!memberInfo.is_booster && boosterBadge) {
-            if (currentBadgeIds.includes(boosterBadge._id.toString())) {
-                user.badges = user.badges.filter(id => id.toString() !== boosterBadge._id.toString());
+        if (boosterBadge) {
+            if (memberInfo.is_booster) {
+                if (await awardBadge(user, boosterBadge)) updated = true;
+            } else if (await revokeBadge(user, boosterBadge)) {
                 updated = true;
             }
         }
@@ -294,12 +349,12 @@ const checkReferralBadges = async (userId) => {
             if (totalReferrals >= milestone.count) {
                 const badge = await Badge.findOne({ slug: milestone.badgeId });
                 // If badge exists and user doesn't have it yet -> Award it + Rewards
-                if (badge && !user.badges.includes(badge._id)) {
-                    user.badges.push(badge._id);
+                if (badge && !hasBadge(user, badge._id)) {
+                    await awardBadge(user, badge);
 
                     // Award Milestone Rewards
                     if (milestone.xp) {
-                        await user.addXP(milestone.xp);
+                        await user.addXP(milestone.xp, 'achievement', `Milestone reward: ${milestone.name}`, { kind: 'Badge', item: badge._id });
                         console.log(`User ${user.username} earned ${milestone.xp} XP for ${milestone.name} badge`);
                     }
                     if (milestone.credits) {
@@ -354,12 +409,12 @@ const checkViewBadges = async (userId) => {
             if (totalViews >= milestone.count) {
                 const badge = await Badge.findOne({ slug: milestone.badgeId });
                 // If badge exists and user doesn't have it yet -> Award it + Rewards
-                if (badge && !user.badges.some(b => b.equals(badge._id))) {
-                    user.badges.push(badge._id);
+                if (badge && !hasBadge(user, badge._id)) {
+                    await awardBadge(user, badge);
 
                     // Award Milestone Rewards
                     if (milestone.xp) {
-                        await user.addXP(milestone.xp);
+                        await user.addXP(milestone.xp, 'achievement', `Milestone reward: ${milestone.name}`, { kind: 'Badge', item: badge._id });
                         console.log(`User ${user.username} earned ${milestone.xp} XP for ${milestone.name} badge (Views: ${totalViews})`);
                     }
 
@@ -377,18 +432,85 @@ const checkViewBadges = async (userId) => {
     }
 };
 
+/**
+ * Resolves the current value of each unlockCriteria metric for a user.
+ * @param {Object} user - The user document.
+ * @param {Object|null} profile - The user's profile document.
+ * @returns {Object} Map of criteria type -> current value.
+ */
+const getCriteriaMetrics = (user, profile) => {
+    const joinedAt = user.createdAt ? new Date(user.createdAt).getTime() : Date.now();
+
+    return {
+        views: profile?.views || 0,
+        level: user.level || 1,
+        links: profile?.links?.length || 0,
+        socials: profile?.socials?.length || 0,
+        days_active: Math.floor((Date.now() - joinedAt) / (24 * 60 * 60 * 1000))
+    };
+};
+
+/**
+ * Awards any active admin-defined auto badge whose unlockCriteria the user meets.
+ * Premium-only badges require premium; badges past availableUntil (limited editions) are no longer awarded.
+ * @param {string} userId - The user ID.
+ */
+const checkCriteriaBadges = async (userId) => {
+    try {
+        const Profile = require('../models/Profile'); // Lazy load to avoid circular dependency
+        const user = await User.findById(userId);
+        if (!user) return;
+
+        const now = new Date();
+        const badges = await Badge.find({
+            isActive: true,
+            unlockType: 'auto',
+            'unlockCriteria.type': { $exists: true, $ne: 'none' },
+            $or: [{ availableUntil: null }, { availableUntil: { $gt: now } }]
+        });
+        if (badges.length === 0) return;
+
+        const profile = await Profile.findOne({ user: userId });
+        const metrics = getCriteriaMetrics(user, profile);
+
+        let updated = false;
+
+        for (const badge of badges) {
+            if (hasBadge(user, badge._id)) continue;
+            if (badge.isPremiumOnly && !user.isPremium) continue;
+
+            const { type, value } = badge.unlockCriteria;
+            if (metrics[type] === undefined || metrics[type] < (value || 0)) continue;
+
+            await awardBadge(user, badge);
+            updated = true;
+            console.log(`User ${user.username} earned ${badge.name} badge (${type} >= ${value})`);
+        }
+
+        if (updated) {
+            await user.save();
+        }
+    } catch (error) {
+        console.error('Error checking criteria badges:', error);
+    }
+};
+
 // Also export a helper for checking all automated badges (referral + potentially others)
 const checkAutomaticBadges = async (userId) => {
     await syncUserDiscordBadges(await User.findById(userId));
     await checkReferralBadges(userId);
     await checkViewBadges(userId);
+    await checkCriteriaBadges(userId);
 };
 
 module.exports = {
     initSystemBadges,
+    awardBadge,
+    revokeBadge,
     syncUserDiscordBadges,
     syncUserDiscordBadges,
     checkReferralBadges,
     checkViewBadges,
+    checkCriteriaBadges,
     checkAutomaticBadges
 };
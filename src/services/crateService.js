@@ -0,0 +1,198 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const StoreItem = require('../models/StoreItem');
+const User = require('../models/User');
+const CrateOpening = require('../models/CrateOpening');
+const { claimStock, recordAcquisition, removeFromInventory, hasActiveListing, getEligibilityError } = require('./inventoryService');
+
+// Rarity order used when rolling (fixed so a seed always maps to the same drop)
+const RARITIES = ['common', 'rare', 'epic', 'legendary', 'event', 'mythic'];
+
+// Used when a crate's metadata doesn't set its own rarityWeights / duplicateCredits
+const DEFAULT_RARITY_WEIGHTS = { common: 60, rare: 25, epic: 10, legendary: 4, event: 4, mythic: 1 };
+const DEFAULT_DUPLICATE_CREDITS = { common: 10, rare: 25, epic: 50, legendary: 100, event: 75, mythic: 200 };
+
+/**
+ * Validates a crate's metadata ({ pool: [itemId], rarityWeights?: { rarity: weight }, duplicateCredits?: { rarity: credits } }).
+ * @param {Object} metadata - The crate's metadata.
+ * @returns {string|null} Error message.
+ */
+const validateCrateMetadata = (metadata) => {
+    const pool = metadata?.pool;
+    if (!Array.isArray(pool) || pool.length === 0) {
+        return 'Crates need a metadata.pool of store item IDs';
+    }
+    if (pool.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+        return 'Invalid item ID in crate pool';
+    }
+    for (const key of ['rarityWeights', 'duplicateCredits']) {
+        const values = metadata[key];
+        if (values === undefined) continue;
+        if (typeof values !== 'object' || Object.entries(values).some(([rarity, n]) => !RARITIES.includes(rarity) || typeof n !== 'number' || n < 0)) {
+            return `metadata.${key} must map rarities to non-negative numbers`;
+        }
+    }
+    return null;
+};
+
+/**
+ * Builds a crate's published drop table: each rarity's weight is split evenly between its items.
+ * Inactive items never drop; with a user, items they aren't eligible for (premium, exclusive) are left out too.
+ * @param {Object} crate - The crate StoreItem document.
+ * @param {Object} [user] - The user opening (or viewing) the crate.
+ * @returns {Array} [{ item, rarity, chance }] ordered by rarity then item ID; chances sum to 1.
+ */
+const getDropTable = async (crate, user = null) => {
+    const pool = await StoreItem.find({
+        _id: { $in: crate.metadata?.pool || [] },
+        itemType: { $nin: ['crate', 'bundle'] },
+        isActive: true
+    });
+    const items = user ? pool.filter(item => !getEligibilityError(user, item)) : pool;
+
+    const weights = { ...DEFAULT_RARITY_WEIGHTS, ...(crate.metadata?.rarityWeights || {}) };
+    const byRarity = RARITIES
+        .map(rarity => ({
+            rarity,
+            weight: weights[rarity] || 0,
+            items: items.filter(i => i.rarity === rarity).sort((a, b) => a._id.toString().localeCompare(b._id.toString()))
+        }))
+        .filter(group => group.items.length && group.weight > 0);
+
+    const totalWeight = byRarity.reduce((sum, group) => sum + group.weight, 0);
+
+    return byRarity.flatMap(group => group.items.map(item => ({
+        item,
+        rarity: group.rarity,
+        chance: group.weight / totalWeight / group.items.length
+    })));
+};
+
+/**
+ * Derives the two rolls in [0, 1) from a seed (SHA-256, first and second 32-bit words).
+ * @param {string} seed - Hex seed.
+ */
+const rollsFromSeed = (seed) => {
+    const hash = crypto.createHash('sha256').update(seed).digest();
+    return {
+        rarityRoll: hash.readUInt32BE(0) / 0x100000000,
+        itemRoll: hash.readUInt32BE(4) / 0x100000000
+    };
+};
+
+/**
+ * Picks the drop for a seed: the rarity by cumulative chance, then an item uniformly within it.
+ * @param {Array} dropTable - Result of getDropTable().
+ * @param {string} seed - Hex seed.
+ * @returns {Object} { entry, rarityRoll, itemRoll }
+ */
+const pickDrop = (dropTable, seed) => {
+    const { rarityRoll, itemRoll } = rollsFromSeed(seed);
+
+    const rarities = [...new Set(dropTable.map(e => e.rarity))];
+    let cumulative = 0;
+    let rarity = rarities[rarities.length - 1];
+    for (const r of rarities) {
+        cumulative += dropTable.filter(e => e.rarity === r).reduce((sum, e) => sum + e.chance, 0);
+        if (rarityRoll < cumulative) {
+            rarity = r;
+            break;
+        }
+    }
+
+    const candidates = dropTable.filter(e => e.rarity === rarity);
+    const entry = candidates[Math.min(Math.floor(itemRoll * candidates.length), candidates.length - 1)];
+
+    return { entry, rarityRoll, itemRoll };
+};
+
+/**
+ * Credits paid instead of an item the user already owns.
+ * @param {Object} crate - The crate StoreItem document.
+ * @param {string} rarity - The rolled rarity.
+ */
+const getDuplicateCredits = (crate, rarity) => {
+    const custom = crate.metadata?.duplicateCredits?.[rarity];
+    return typeof custom === 'number' ? custom : (DEFAULT_DUPLICATE_CREDITS[rarity] || 0);
+};
+
+/**
+ * Opens a crate: consumes it from the user's inventory, rolls, grants the item (or duplicate credits) and logs the roll.
+ * @param {Object} user - The user document.
+ * @param {Object} crate - The crate StoreItem document.
+ * @returns {Object} { opening, item } or { error }.
+ */
+const openCrate = async (user, crate) => {
+    const dropTable = await getDropTable(crate, user);
+    if (dropTable.length === 0) {
+        return { error: 'This crate has no contents' };
+    }
+
+    // Consuming the crate first makes opening the same copy twice impossible
+    const consumed = await removeFromInventory(user._id, crate);
+    if (!consumed) {
+        return { error: 'You do not own this crate' };
+    }
+
+    const seed = crypto.randomBytes(16).toString('hex');
+    const { entry, rarityRoll, itemRoll } = pickDrop(dropTable, seed);
+    const item = entry.item;
+
+    let duplicate = false;
+    let serialNumber = null;
+
+    // A copy listed on the marketplace still counts as owned
+    const claimed = await hasActiveListing(user._id, item._id)
+        ? { modifiedCount: 0 }
+        : await User.updateOne(
+            { _id: user._id, 'inventory.items': { $ne: item._id } },
+            { $push: { 'inventory.items': item._id } }
+        );
+
+    if (!claimed.modifiedCount) {
+        duplicate = true;
+    } else {
+        const stock = await claimStock(item);
+        if (stock) {
+            serialNumber = stock.serialNumber;
+            await recordAcquisition(user._id, item, { source: 'crate', serialNumber });
+        } else {
+            // Limited item sold out: treat like a duplicate
+            await User.updateOne({ _id: user._id }, { $pull: { 'inventory.items': item._id } });
+            duplicate = true;
+        }
+    }
+
+    const creditsAwarded = duplicate ? getDuplicateCredits(crate, entry.rarity) : 0;
+    if (creditsAwarded > 0) {
+        await user.addCredits(creditsAwarded, 'crate', `Duplicate ${item.name} from ${crate.name}`, item._id);
+    }
+
+    const opening = await CrateOpening.create({
+        user: user._id,
+        crate: crate._id,
+        seed,
+        rarityRoll,
+        itemRoll,
+        dropTable: dropTable.map(e => ({ item: e.item._id, rarity: e.rarity, chance: e.chance })),
+        rarity: entry.rarity,
+        item: item._id,
+        duplicate,
+        creditsAwarded,
+        serialNumber
+    });
+
+    return { opening, item };
+};
+
+module.exports = {
+    RARITIES,
+    DEFAULT_RARITY_WEIGHTS,
+    DEFAULT_DUPLICATE_CREDITS,
+    validateCrateMetadata,
+    getDropTable,
+    rollsFromSeed,
+    pickDrop,
+    getDuplicateCredits,
+    openCrate
+};
@@ -0,0 +1,110 @@
+const User = require('../models/User');
+const CreditTransaction = require('../models/CreditTransaction');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const GIFT_LOCK_MS = 30 * 1000; // Released right away normally; only matters if a request dies mid-gift
+
+/**
+ * Anti-abuse checks for credit gifts.
+ * @param {Object} sender - Sender user document.
+ * @param {Object} receiver - Receiver user document.
+ * @param {Object} limits - SystemConfig.gifting.
+ * @returns {string|null} An error message, or null if the gift is allowed.
+ */
+const getGiftRestriction = (sender, receiver, limits) => {
+    const now = Date.now();
+    const ageDays = (user) => (now - new Date(user.createdAt).getTime()) / DAY_MS;
+
+    if (!sender.isPremium) {
+        return 'Gifting is a Premium feature';
+    }
+    if (ageDays(sender) < limits.minAccountAgeDays) {
+        return `Your account must be at least ${limits.minAccountAgeDays} days old to send gifts`;
+    }
+    if (ageDays(receiver) < limits.minAccountAgeDays) {
+        return `Recipient account must be at least ${limits.minAccountAgeDays} days old to receive gifts`;
+    }
+
+    // Alt detection: direct referral pairs, or two accounts referred by the same user,
+    // can't trade credits until the newer account has been around for a while
+    const sameId = (a, b) => a && b && a.toString() === b.toString();
+    const linked = sameId(sender.referredBy, receiver._id) ||
+        sameId(receiver.referredBy, sender._id) ||
+        sameId(sender.referredBy, receiver.referredBy);
+
+    if (linked && Math.min(ageDays(sender), ageDays(receiver)) < limits.referralCooldownDays) {
+        return `Gifts between accounts linked by referral are available after ${limits.referralCooldownDays} days`;
+    }
+
+    return null;
+};
+
+/**
+ * Checks the rolling 24h gift limits (count and credits). Direct gifts and credits paid in trades both count.
+ * Run it inside withGiftLock so parallel gifts can't both pass.
+ * @param {string} senderId - The sender's user ID.
+ * @param {number} amount - Credits about to be sent.
+ * @param {Object} limits - SystemConfig.gifting.
+ * @returns {Object|null} { error, remaining } or null if within the limits.
+ */
+const getGiftAllowanceError = async (senderId, amount, limits) => {
+    const [sentToday] = await CreditTransaction.aggregate([
+        {
+            $match: {
+                user: senderId,
+                type: 'transfer',
+                source: { $in: ['transfer', 'trade'] },
+                direction: 'debit',
+                createdAt: { $gte: new Date(Date.now() - DAY_MS) }
+            }
+        },
+        { $group: { _id: null, total: { $sum: '$amount' }, count: { $sum: 1 } } }
+    ]);
+
+    if (sentToday && sentToday.count >= limits.dailyGiftCount) {
+        return { error: `Daily gift limit reached (${limits.dailyGiftCount} gifts per day)`, remaining: 0 };
+    }
+
+    const remaining = limits.dailyCreditLimit - (sentToday ? sentToday.total : 0);
+    if (amount > remaining) {
+        return { error: `Daily gift limit reached (${limits.dailyCreditLimit} credits per day)`, remaining: Math.max(remaining, 0) };
+    }
+
+    return null;
+};
+
+/**
+ * Runs fn while holding the gift lock of each sender, so the limit check and the transfer happen as one step.
+ * @param {Array} userIds - Senders to lock.
+ * @param {Function} fn - Async work to run under the locks.
+ * @returns {Object} { busy: true } if another gift from one of the senders is in progress, else { result }.
+ */
+const withGiftLock = async (userIds, fn) => {
+    const locked = [];
+    const release = () => User.updateMany({ _id: { $in: locked } }, { $set: { giftLockUntil: null } });
+
+    for (const userId of userIds) {
+        const now = new Date();
+        const claimed = await User.updateOne(
+            { _id: userId, $or: [{ giftLockUntil: null }, { giftLockUntil: { $lte: now } }] },
+            { $set: { giftLockUntil: new Date(now.getTime() + GIFT_LOCK_MS) } }
+        );
+        if (!claimed.modifiedCount) {
+            await release();
+            return { busy: true };
+        }
+        locked.push(userId);
+    }
+
+    try {
+        return { result: await fn() };
+    } finally {
+        await release();
+    }
+};
+
+module.exports = {
+    getGiftRestriction,
+    getGiftAllowanceError,
+    withGiftLock
+};
@@ -0,0 +1,396 @@
+const mongoose = require('mongoose');
+const StoreItem = require('../models/StoreItem');
+const Profile = require('../models/Profile');
+const UserItem = require('../models/UserItem');
+const CreditTransaction = require('../models/CreditTransaction');
+const Listing = require('../models/Listing');
+const WishlistItem = require('../models/WishlistItem');
+
+// Profile field each equippable itemType occupies
+const EQUIP_SLOTS = {
+    frame: 'frame',
+    cursor: 'themeConfig.cursorUrl',
+    background: 'themeConfig.background.url',
+    audio: 'themeConfig.audio.url',
+    avatar: 'avatar',
+    banner: 'banner'
+};
+
+/**
+ * Whether a user may use a store item: owned, free, or premium with an active subscription.
+ * @param {Object} user - The user document.
+ * @param {Object} item - The StoreItem document.
+ */
+const canUseItem = (user, item) => {
+    if (item.type === 'free') return true;
+    if (item.type === 'premium' && user.isPremium) return true;
+    return (user.inventory?.items || []).some(id => (id._id || id).toString() === item._id.toString());
+};
+
+/**
+ * Why a user can't get an item from the store or a crate (premium items need Premium, exclusive items are only granted).
+ * @param {Object} user - The user document.
+ * @param {Object} item - The StoreItem document.
+ * @returns {string|null} Error message, or null if the user is eligible.
+ */
+const getEligibilityError = (user, item) => {
+    if (item.type === 'exclusive') return 'Exclusive items cannot be bought';
+    if (item.type === 'premium' && !canUseItem(user, item)) return 'Requires Premium';
+    return null;
+};
+
+/**
+ * Value written into the profile slot for an item (frames are referenced by ID, the rest by URL).
+ * @param {Object} item - The StoreItem document.
+ */
+const getSlotValue = (item) => (item.itemType === 'frame' ? item._id : item.imageUrl);
+
+/**
+ * Profile $set for equipping an item.
+ * @param {Object} item - The StoreItem document.
+ */
+const getEquipUpdate = (item) => {
+    const update = { [EQUIP_SLOTS[item.itemType]]: getSlotValue(item) };
+
+    // Video backgrounds need the matching background type
+    if (item.itemType === 'background') {
+        update['themeConfig.background.type'] = item.metadata?.mediaType === 'video' ? 'video' : 'image';
+    }
+
+    return update;
+};
+
+/**
+ * Removes an item from a user's profile wherever it is equipped.
+ * @param {string} userId - The user ID.
+ * @param {Object} item - The StoreItem document.
+ * @returns {boolean} True if anything was unequipped.
+ */
+const unequipItem = async (userId, item) => {
+    const slot = EQUIP_SLOTS[item.itemType];
+    if (!slot) return false;
+
+    const result = await Profile.updateOne(
+        { user: userId, [slot]: slot === 'frame' ? item._id : item.imageUrl },
+        { $set: { [slot]: slot === 'frame' ? null : '' } }
+    );
+    return result.modifiedCount > 0;
+};
+
+/**
+ * Resolves a frame reference to its StoreItem. Accepts StoreItem IDs plus the legacy forms
+ * still sent by old clients: retired Frame IDs and frame image URLs.
+ * @param {*} value - ID, ObjectId, document or URL.
+ * @returns {Object|null} The frame StoreItem document.
+ */
+const resolveFrameItem = async (value) => {
+    if (!value) return null;
+
+    const ref = (value._id || value).toString();
+    if (/^[a-f0-9]{24}$/i.test(ref)) {
+        return StoreItem.findOne({ itemType: 'frame', $or: [{ _id: ref }, { legacyFrameId: ref }] });
+    }
+    return StoreItem.findOne({ itemType: 'frame', imageUrl: ref });
+};
+
+/**
+ * Counts profiles whose frame is still a legacy value (a URL or ID string rather than a StoreItem ObjectId).
+ * Those fail to cast on read and save until scripts/migrateFrames.js has run.
+ * @returns {number} Number of profiles left to migrate.
+ */
+const countLegacyFrames = () => Profile.collection.countDocuments({ frame: { $type: 'string' } });
+
+/**
+ * Resolves store items referenced in a profile update and splits them by whether the user may use them.
+ * Values that don't match any store item (e.g. the user's own uploads) are ignored.
+ * @param {Object} user - The user document.
+ * @param {Object} updates - Profile fields being set.
+ * @returns {Object} { usable, unusable } arrays of StoreItem documents.
+ */
+const resolveStoreAssets = async (user, updates) => {
+    const values = [
+        updates.frame,
+        updates.avatar,
+        updates.banner,
+        updates.themeConfig?.cursorUrl,
+        updates.themeConfig?.background?.url,
+        updates.themeConfig?.audio?.url
+    ].filter(v => v && (typeof v === 'string' || v instanceof mongoose.Types.ObjectId))
+        .map(v => v.toString());
+
+    if (values.length === 0) return { usable: [], unusable: [] };
+
+    const ids = values.filter(v => mongoose.Types.ObjectId.isValid(v) && /^[a-f0-9]{24}$/i.test(v));
+    const items = await StoreItem.find({
+        $or: [{ _id: { $in: ids } }, { imageUrl: { $in: values } }]
+    });
+
+    return {
+        usable: items.filter(item => canUseItem(user, item)),
+        unusable: items.filter(item => !canUseItem(user, item))
+    };
+};
+
+/**
+ * Whether an item is limited (has a stock total).
+ * @param {Object} item - The StoreItem document.
+ */
+const isLimited = (item) => item.stock?.total !== null && item.stock?.total !== undefined;
+
+/**
+ * Copies left of a limited item, or null if unlimited.
+ * @param {Object} item - The StoreItem document.
+ */
+const getRemainingStock = (item) => (isLimited(item) ? Math.max(item.stock.total - (item.stock.sold || 0), 0) : null);
+
+/**
+ * Why an item can't be acquired right now (drop window, stock), or null if it can.
+ * @param {Object} item - The StoreItem document.
+ * @param {Date} now - Reference time.
+ * @returns {string|null} Error message.
+ */
+const getAvailabilityError = (item, now = new Date()) => {
+    if (item.availableFrom && item.availableFrom > now) {
+        return `Available from ${item.availableFrom.toISOString()}`;
+    }
+    if (item.availableUntil && item.availableUntil <= now) {
+        return 'This item is no longer available';
+    }
+    if (getRemainingStock(item) === 0) {
+        return 'Sold out';
+    }
+    return null;
+};
+
+/**
+ * Checks a user's per-item purchase cap (gifts bought for others and bundles containing the item count towards it).
+ * @param {string} userId - The user ID.
+ * @param {Object} item - The StoreItem document.
+ * @returns {string|null} Error message if the cap is reached.
+ */
+const getPurchaseCapError = async (userId, item) => {
+    if (!item.maxPerUser) return null;
+
+    const bundleIds = await StoreItem.find({ itemType: 'bundle', bundleItems: item._id }).distinct('_id');
+    const purchases = await CreditTransaction.countDocuments({
+        user: userId,
+        relatedItem: { $in: [item._id, ...bundleIds] },
+        type: 'spent',
+        source: 'purchase'
+    });
+
+    return purchases >= item.maxPerUser
+        ? `Purchase limit reached (${item.maxPerUser} per user)`
+        : null;
+};
+
+/**
+ * Takes one copy from a limited item's stock. The decrement is atomic, so stock can't oversell.
+ * A failed purchase is refunded; its copy only goes back through releaseStock() so serial numbers stay unique.
+ * @param {Object} item - The StoreItem document.
+ * @returns {Object|null} { serialNumber } (null serial for unlimited items), or null if sold out.
+ */
+const claimStock = async (item) => {
+    if (!isLimited(item)) return { serialNumber: null };
+
+    const updated = await StoreItem.findOneAndUpdate(
+        { _id: item._id, $expr: { $lt: ['$stock.sold', '$stock.total'] } },
+        { $inc: { 'stock.sold': 1 } },
+        { new: true }
+    );
+    if (!updated) return null;
+
+    item.stock.sold = updated.stock.sold;
+    return { serialNumber: updated.stock.sold };
+};
+
+/**
+ * Puts back a copy taken by claimStock() when the rest of the purchase failed. Only the latest serial
+ * can go back (otherwise it would be handed out twice); an older one just stays unused.
+ * @param {Object} item - The StoreItem document.
+ * @param {number|null} serialNumber - Serial returned by claimStock().
+ */
+const releaseStock = async (item, serialNumber) => {
+    if (!serialNumber || !isLimited(item)) return;
+
+    const updated = await StoreItem.findOneAndUpdate(
+        { _id: item._id, 'stock.sold': serialNumber },
+        { $inc: { 'stock.sold': -1 } },
+        { new: true }
+    );
+    if (updated) item.stock.sold = updated.stock.sold;
+};
+
+/**
+ * Inventory label for a numbered copy, e.g. "#12 of 500".
+ * @param {Object} item - The StoreItem document.
+ * @param {number} serialNumber - The copy's serial.
+ */
+const formatSerial = (item, serialNumber) => (
+    serialNumber && isLimited(item) ? `#${serialNumber} of ${item.stock.total}` : null
+);
+
+/**
+ * Records how a user acquired an item (alongside the User.inventory.items entry) and drops it from their wishlist.
+ * @param {string} userId - The user ID.
+ * @param {Object} item - The StoreItem document.
+ * @param {Object} details - { source, pricePaid, serialNumber }.
+ */
+const recordAcquisition = async (userId, item, { source = 'purchase', pricePaid = 0, serialNumber = null } = {}) => {
+    await UserItem.updateOne(
+        { user: userId, item: item._id },
+        { $set: { source, pricePaid, serialNumber, acquiredAt: new Date(), equippedAt: null } },
+        { upsert: true }
+    );
+    await WishlistItem.deleteOne({ user: userId, item: item._id });
+};
+
+/**
+ * Stamps the first-equipped time on owned copies (used to block refunds of used items).
+ * @param {string} userId - The user ID.
+ * @param {Array} items - StoreItem documents or IDs.
+ */
+const markEquipped = async (userId, items) => {
+    if (!items.length) return;
+    await UserItem.updateMany(
+        { user: userId, item: { $in: items.map(i => i._id || i) }, equippedAt: null },
+        { $set: { equippedAt: new Date() } }
+    );
+};
+
+/**
+ * Takes an item out of a user's inventory: pulls it, drops its UserItem record and unequips it.
+ * @param {string} userId - The user ID.
+ * @param {Object} item - The StoreItem document.
+ * @returns {Object|null} The copy's details ({ source, pricePaid, acquiredAt, equippedAt, serialNumber }), or null if the user didn't own the item.
+ */
+const takeFromInventory = async (userId, item) => {
+    const User = require('../models/User'); // Lazy load to avoid circular dependency
+
+    const result = await User.updateOne(
+        { _id: userId, 'inventory.items': item._id },
+        { $pull: { 'inventory.items': item._id } }
+    );
+    if (!result.modifiedCount) return null;
+
+    const record = await UserItem.findOneAndDelete({ user: userId, item: item._id });
+    await unequipItem(userId, item);
+
+    return {
+        source: record?.source || 'purchase',
+        pricePaid: record?.pricePaid || 0,
+        acquiredAt: record?.acquiredAt || null,
+        equippedAt: record?.equippedAt || null,
+        serialNumber: record?.serialNumber || null
+    };
+};
+
+/**
+ * Takes an item out of a user's inventory (see takeFromInventory).
+ * @param {string} userId - The user ID.
+ * @param {Object} item - The StoreItem document.
+ * @returns {boolean} False if the user didn't own the item (nothing changed).
+ */
+const removeFromInventory = async (userId, item) => Boolean(await takeFromInventory(userId, item));
+
+/**
+ * Puts a copy taken with takeFromInventory into a user's inventory (atomic, like a purchase).
+ * @param {string} userId - The user ID.
+ * @param {Object} item - The StoreItem document.
+ * @param {Object} copy - UserItem details to store.
+ * @returns {boolean} False if the user already owns the item (nothing changed).
+ */
+const giveToInventory = async (userId, item, copy) => {
+    const User = require('../models/User'); // Lazy load to avoid circular dependency
+
+    const result = await User.updateOne(
+        { _id: userId, 'inventory.items': { $ne: item._id } },
+        { $push: { 'inventory.items': item._id } }
+    );
+    if (!result.modifiedCount) return false;
+
+    await UserItem.updateOne(
+        { user: userId, item: item._id },
+        { $set: { ...copy, acquiredAt: copy.acquiredAt || new Date() } },
+        { upsert: true }
+    );
+    await WishlistItem.deleteOne({ user: userId, item: item._id });
+    return true;
+};
+
+/**
+ * Atomically pulls some items out of a user's inventory and pushes others in (one update on one document).
+ * Fails without changing anything unless the user owns every item in give and none in receive.
+ * @param {string} userId - The user ID.
+ * @param {Array} give - StoreItem IDs leaving the inventory.
+ * @param {Array} receive - StoreItem IDs entering the inventory.
+ * @returns {boolean} True if the swap was applied.
+ */
+const swapInventory = async (userId, give, receive) => {
+    const User = require('../models/User'); // Lazy load to avoid circular dependency
+
+    const toId = (id) => new mongoose.Types.ObjectId(id.toString());
+    const giveIds = give.map(toId);
+    const receiveIds = receive.map(toId);
+
+    const filter = { _id: userId, $and: [] };
+    if (giveIds.length) filter.$and.push({ 'inventory.items': { $all: giveIds } });
+    if (receiveIds.length) filter.$and.push({ 'inventory.items': { $nin: receiveIds } });
+    if (!filter.$and.length) delete filter.$and;
+
+    const result = await User.updateOne(filter, [{
+        $set: {
+            'inventory.items': {
+                $concatArrays: [
+                    { $filter: { input: '$inventory.items', cond: { $not: { $in: ['$$this', giveIds] } } } },
+                    receiveIds
+                ]
+            }
+        }
+    }]);
+
+    return result.modifiedCount > 0 || (giveIds.length === 0 && receiveIds.length === 0);
+};
+
+/**
+ * Whether owned copies of an item can change hands between users.
+ * @param {Object} item - The StoreItem document.
+ */
+const isTradable = (item) => item.isTradable !== false &&
+    !['free', 'premium', 'exclusive'].includes(item.type) &&
+    item.itemType !== 'bundle';
+
+/**
+ * Whether the user has the item listed on the marketplace (the copy is out of their inventory but still theirs).
+ * @param {string} userId - The user ID.
+ * @param {string} itemId - The StoreItem ID.
+ */
+const hasActiveListing = async (userId, itemId) => {
+    return Boolean(await Listing.exists({ seller: userId, item: itemId, status: 'active' }));
+};
+
+module.exports = {
+    EQUIP_SLOTS,
+    canUseItem,
+    getEligibilityError,
+    getEquipUpdate,
+    unequipItem,
+    resolveFrameItem,
+    countLegacyFrames,
+    resolveStoreAssets,
+    isLimited,
+    getRemainingStock,
+    getAvailabilityError,
+    getPurchaseCapError,
+    claimStock,
+    releaseStock,
+    formatSerial,
+    recordAcquisition,
+    markEquipped,
+    takeFromInventory,
+    removeFromInventory,
+    giveToInventory,
+    swapInventory,
+    isTradable,
+    hasActiveListing
+};
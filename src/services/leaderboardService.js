@@ -0,0 +1,216 @@
+const User = require('../models/User');
+const Profile = require('../models/Profile');
+const XPEvent = require('../models/XPEvent');
+const VisitSession = require('../models/VisitSession');
+const CreditTransaction = require('../models/CreditTransaction');
+
+const METRICS = ['xp', 'views', 'referrals', 'credits-earned'];
+const WINDOWS = {
+    weekly: 7,
+    monthly: 30,
+    'all-time': null
+};
+
+/**
+ * Builds the metric-specific pipeline producing one { _id: userId, value } doc per user.
+ * @param {string} metric - One of METRICS.
+ * @param {Date|null} since - Window start, or null for all-time.
+ * @returns {{ model: Object, pipeline: Array }}
+ */
+const getBasePipeline = (metric, since) => {
+    switch (metric) {
+        case 'xp':
+            if (!since) {
+                return { model: User, pipeline: [{ $project: { value: '$xp' } }] };
+            }
+            return {
+                model: XPEvent,
+                pipeline: [
+                    { $match: { createdAt: { $gte: since } } },
+                    { $group: { _id: '$user', value: { $sum: '$amount' } } }
+                ]
+            };
+
+        case 'views':
+            if (!since) {
+                return { model: Profile, pipeline: [{ $project: { _id: '$user', value: '$views' } }] };
+            }
+            return {
+                model: VisitSession,
+                pipeline: [
+                    { $match: { startedAt: { $gte: since } } },
+                    { $group: { _id: '$profileId', value: { $sum: 1 } } },
+                    { $lookup: { from: Profile.collection.name, localField: '_id', foreignField: '_id', as: 'viewedProfile' } },
+                    { $unwind: '$viewedProfile' },
+                    { $project: { _id: '$viewedProfile.user', value: 1 } }
+                ]
+            };
+
+        case 'referrals':
+            if (!since) {
+                return { model: User, pipeline: [{ $project: { value: '$referralStats.totalReferrals' } }] };
+            }
+            return {
+                model: User,
+                pipeline: [
+                    { $match: { referredBy: { $ne: null }, createdAt: { $gte: since } } },
+                    { $group: { _id: '$referredBy', value: { $sum: 1 } } }
+                ]
+            };
+
+        case 'credits-earned': {
+            const match = { type: 'earned', source: { $nin: ['sell_back', 'crate', 'marketplace'] } };
+            if (since) match.createdAt = { $gte: since };
+            return {
+                model: CreditTransaction,
+                pipeline: [
+                    { $match: match },
+                    { $group: { _id: '$user', value: { $sum: '$amount' } } }
+                ]
+            };
+        }
+
+        default:
+            throw new Error(`Unknown leaderboard metric: ${metric}`);
+    }
+};
+
+/**
+ * Stages shared by every metric: drop zero scores, banned users and private profiles, then rank.
+ */
+const getEligibilityStages = () => [
+    { $match: { value: { $gt: 0 } } },
+    { $lookup: { from: User.collection.name, localField: '_id', foreignField: '_id', as: 'user' } },
+    { $unwind: '$user' },
+    { $match: { 'user.isBanned': { $ne: true } } },
+    { $lookup: { from: Profile.collection.name, localField: '_id', foreignField: 'user', as: 'profile' } },
+    { $unwind: '$profile' },
+    { $match: { 'profile.isPublic': true } },
+    { $sort: { value: -1, _id: 1 } }
+];
+
+// Results are cached briefly: every request would otherwise rescan the whole collection
+const CACHE_TTL_MS = 60 * 1000;
+const CACHE_MAX_ENTRIES = 1000;
+const cache = new Map();
+
+/**
+ * Returns the cached value for a key, or computes and caches it for CACHE_TTL_MS.
+ * @param {string} key - Cache key.
+ * @param {Function} compute - async () => value.
+ */
+const cached = async (key, compute) => {
+    const hit = cache.get(key);
+    if (hit && hit.expiresAt > Date.now()) return hit.value;
+
+    const value = await compute();
+    if (cache.size >= CACHE_MAX_ENTRIES) {
+        // Map keeps insertion order: drop the oldest entry
+        cache.delete(cache.keys().next().value);
+    }
+    cache.set(key, { value, expiresAt: Date.now() + CACHE_TTL_MS });
+    return value;
+};
+
+/**
+ * Full ranking pipeline for a metric and window.
+ */
+const getRankedPipeline = (metric, window) => {
+    const days = WINDOWS[window];
+    const since = days ? new Date(Date.now() - days * 24 * 60 * 60 * 1000) : null;
+
+    const { model, pipeline } = getBasePipeline(metric, since);
+    return { model, ranked: [...pipeline, ...getEligibilityStages()] };
+};
+
+/**
+ * One page of ranked entries plus the total count.
+ */
+const getPage = (metric, window, page, limit) => cached(`${metric}:${window}:${page}:${limit}`, async () => {
+    const { model, ranked } = getRankedPipeline(metric, window);
+
+    const [result] = await model.aggregate([
+        ...ranked,
+        {
+            $facet: {
+                entries: [
+                    { $skip: (page - 1) * limit },
+                    { $limit: limit },
+                    {
+                        $project: {
+                            value: 1,
+                            username: '$user.username',
+                            displayName: '$user.displayName',
+                            level: '$user.level',
+                            isVerified: '$user.isVerified',
+                            avatar: '$profile.avatar'
+                        }
+                    }
+                ],
+                total: [{ $count: 'count' }]
+            }
+        }
+    ]);
+
+    return {
+        total: result.total[0]?.count || 0,
+        entries: result.entries.map((entry, i) => ({
+            rank: (page - 1) * limit + i + 1,
+            userId: entry._id,
+            username: entry.username,
+            displayName: entry.displayName,
+            avatar: entry.avatar,
+            level: entry.level,
+            isVerified: entry.isVerified,
+            value: entry.value
+        }))
+    };
+});
+
+/**
+ * A user's own position: rank = number of entries sorted ahead of them + 1.
+ */
+const getPosition = (metric, window, userId) => cached(`${metric}:${window}:me:${userId}`, async () => {
+    const { model, ranked } = getRankedPipeline(metric, window);
+
+    const [mine] = await model.aggregate([...ranked, { $match: { _id: userId } }, { $project: { value: 1 } }]);
+    if (!mine) return { rank: null, value: 0 };
+
+    const [ahead] = await model.aggregate([
+        ...ranked,
+        { $match: { $or: [{ value: { $gt: mine.value } }, { value: mine.value, _id: { $lt: userId } }] } },
+        { $count: 'count' }
+    ]);
+    return { rank: (ahead?.count || 0) + 1, value: mine.value };
+});
+
+/**
+ * Returns a page of the leaderboard plus (optionally) the requester's own position.
+ * Both are cached for CACHE_TTL_MS, so standings can lag by up to a minute.
+ * @param {Object} options
+ * @param {string} options.metric - One of METRICS.
+ * @param {string} options.window - One of Object.keys(WINDOWS).
+ * @param {number} options.page - 1-based page.
+ * @param {number} options.limit - Page size.
+ * @param {Object} [options.userId] - Requester's user ID.
+ */
+const getLeaderboard = async ({ metric, window, page, limit, userId = null }) => {
+    const { entries, total } = await getPage(metric, window, page, limit);
+    const me = userId ? await getPosition(metric, window, userId) : null;
+
+    return {
+        metric,
+        window,
+        entries,
+        me,
+        totalPages: Math.ceil(total / limit),
+        currentPage: page,
+        totalEntries: total
+    };
+};
+
+module.exports = {
+    METRICS,
+    WINDOWS,
+    getLeaderboard
+};
@@ -0,0 +1,118 @@
+const fs = require('fs');
+const path = require('path');
+
+// Transports: 'smtp' (production), 'file' (writes each message to MAIL_FILE_DIR) and 'console' (logs it).
+// Anything with a send(message) method can be plugged in with setTransport().
+const transports = {
+    smtp: () => {
+        const nodemailer = require('nodemailer'); // Only needed when SMTP is used
+        const transporter = nodemailer.createTransport({
+            host: process.env.SMTP_HOST,
+            port: parseInt(process.env.SMTP_PORT) || 587,
+            secure: process.env.SMTP_SECURE === 'true',
+            auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+        });
+        return { send: (message) => transporter.sendMail(message) };
+    },
+    file: () => {
+        const dir = process.env.MAIL_FILE_DIR || path.join(__dirname, '../../tmp/mail');
+        return {
+            send: async (message) => {
+                await fs.promises.mkdir(dir, { recursive: true });
+                const file = path.join(dir, `${Date.now()}-${message.to.replace(/[^a-z0-9@._-]/gi, '_')}.json`);
+                await fs.promises.writeFile(file, JSON.stringify(message, null, 2));
+            }
+        };
+    },
+    console: () => ({
+        send: async (message) => {
+            console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+        }
+    })
+};
+
+let transport = null;
+
+const getTransport = () => {
+    if (!transport) {
+        const name = process.env.MAIL_TRANSPORT || (process.env.NODE_ENV === 'production' ? 'smtp' : 'console');
+        if (!transports[name]) {
+            throw new Error(`Unknown MAIL_TRANSPORT "${name}"`);
+        }
+        transport = transports[name]();
+    }
+    return transport;
+};
+
+/**
+ * Replaces the mail transport (e.g. a provider API client).
+ * @param {Object} customTransport - Object with an async send({ from, to, subject, text, html }).
+ */
+const setTransport = (customTransport) => {
+    transport = customTransport;
+};
+
+/**
+ * Sends an email. Never throws: callers decide separately what a missing email means.
+ * @param {Object} message - { to, subject, text, html }.
+ * @returns {boolean} Whether the transport accepted the message.
+ */
+const sendMail = async ({ to, subject, text, html }) => {
+    try {
+        const from = process.env.MAIL_FROM || 'Vynn <no-reply@vynn.app>';
+        await getTransport().send({ from, to, subject, text, html: html || text });
+        return true;
+    } catch (error) {
+        console.error('Error sending mail:', error);
+        return false;
+    }
+};
+
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+
+const link = (pathname, token) => `${process.env.FRONTEND_URL}${pathname}?token=${encodeURIComponent(token)}`;
+
+/**
+ * Sends the "confirm your email" link.
+ */
+const sendVerificationEmail = (user, token) => {
+    const url = link('/verify-email', token);
+    return sendMail({
+        to: user.email,
+        subject: 'Confirm your email',
+        text: `Hi ${user.displayName || user.username},\n\nConfirm your email address for Vynn:\n${url}\n\nIf you didn't create an account, you can ignore this email.`,
+        html: `<p>Hi ${escapeHtml(user.displayName || user.username)},</p><p>Confirm your email address for Vynn:</p><p><a href="${url}">Confirm email</a></p><p>If you didn't create an account, you can ignore this email.</p>`
+    });
+};
+
+/**
+ * Sends the password reset link.
+ */
+const sendPasswordResetEmail = (user, token) => {
+    const url = link('/reset-password', token);
+    return sendMail({
+        to: user.email,
+        subject: 'Reset your password',
+        text: `Hi ${user.displayName || user.username},\n\nReset your Vynn password:\n${url}\n\nThis link expires soon and works once. If you didn't ask for it, you can ignore this email.`,
+        html: `<p>Hi ${escapeHtml(user.displayName || user.username)},</p><p><a href="${url}">Reset your Vynn password</a></p><p>This link expires soon and works once. If you didn't ask for it, you can ignore this email.</p>`
+    });
+};
+
+/**
+ * Tells the user their password was changed.
+ */
+const sendPasswordChangedEmail = (user) => {
+    return sendMail({
+        to: user.email,
+        subject: 'Your password was changed',
+        text: `Hi ${user.displayName || user.username},\n\nThe password for your Vynn account was just changed and your other sessions were signed out. If this wasn't you, reset your password right away.`
+    });
+};
+
+module.exports = {
+    setTransport,
+    sendMail,
+    sendVerificationEmail,
+    sendPasswordResetEmail,
+    sendPasswordChangedEmail
+};
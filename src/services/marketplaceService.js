@@ -0,0 +1,58 @@
+const Listing = require('../models/Listing');
+const User = require('../models/User');
+
+/**
+ * Pays the seller of a sold listing (price minus fee). The idempotency key is derived from the
+ * sale's transferId, so a retried payout can never credit the seller twice.
+ * @param {Object} listing - The sold Listing document (price, fee, transferId, buyer set).
+ * @param {Object} item - The listed StoreItem document.
+ * @returns {boolean} True once the seller has been paid (now or by an earlier attempt).
+ */
+const payOutSeller = async (listing, item) => {
+    try {
+        await User.applyCreditChange(listing.seller, listing.price - listing.fee, {
+            type: 'earned',
+            source: 'marketplace',
+            description: `Sold ${item.name} on the marketplace (${listing.fee} credit fee)`,
+            relatedItem: item._id,
+            transferId: listing.transferId,
+            counterparty: listing.buyer,
+            idempotencyKey: `marketplace-payout:${listing.transferId}`
+        });
+    } catch (error) {
+        if (error.code !== 'DUPLICATE_REQUEST') {
+            // Queue it: the payout job retries listings still flagged as unpaid
+            await Listing.updateOne({ _id: listing._id }, { $set: { payoutPending: true } });
+            console.error('Marketplace Payout Error: seller not paid, queued for retry', {
+                listing: listing._id,
+                transferId: listing.transferId,
+                error: error.message
+            });
+            return false;
+        }
+    }
+
+    if (listing.payoutPending) {
+        await Listing.updateOne({ _id: listing._id }, { $set: { payoutPending: false } });
+    }
+    return true;
+};
+
+/**
+ * Retries the seller payout of every sold listing still flagged as unpaid.
+ * @returns {number} Number of sellers paid.
+ */
+const retryPendingPayouts = async () => {
+    const listings = await Listing.find({ status: 'sold', payoutPending: true }).populate('item', 'name');
+
+    let paid = 0;
+    for (const listing of listings) {
+        if (await payOutSeller(listing, listing.item)) paid++;
+    }
+    return paid;
+};
+
+module.exports = {
+    payOutSeller,
+    retryPendingPayouts
+};
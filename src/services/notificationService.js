@@ -0,0 +1,29 @@
+const Notification = require('../models/Notification');
+
+// All notification types (the model's enum)
+const NOTIFICATION_TYPES = Notification.schema.path('type').enumValues;
+
+/**
+ * Creates an in-app notification unless the user muted its type.
+ * Never throws: a failed notification must not break the action that triggered it.
+ * @param {string} userId - The recipient's user ID.
+ * @param {string} type - Notification type (see Notification model).
+ * @param {Object} content - { title, message, data }.
+ */
+const notify = async (userId, type, { title, message = '', data = {} }) => {
+    try {
+        const User = require('../models/User'); // Lazy load to avoid circular dependency
+        const muted = await User.exists({ _id: userId, 'notificationPreferences.muted': type });
+        if (muted) return null;
+
+        return await Notification.create({ user: userId, type, title, message, data });
+    } catch (error) {
+        console.error('Error creating notification:', error);
+        return null;
+    }
+};
+
+module.exports = {
+    NOTIFICATION_TYPES,
+    notify
+};
@@ -0,0 +1,121 @@
+const crypto = require('crypto');
+const OAuthState = require('../models/OAuthState');
+const AuthCode = require('../models/AuthCode');
+
+const STATE_TTL_MS = 10 * 60 * 1000;
+const CODE_TTL_MS = {
+    login: 2 * 60 * 1000,
+    discord_link: 10 * 60 * 1000
+};
+
+const NONCE_COOKIE = 'discord_oauth_nonce';
+
+const randomToken = (bytes = 32) => crypto.randomBytes(bytes).toString('base64url');
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest();
+
+/**
+ * Starts a Discord authorization: stores a random state with a PKCE verifier and builds the authorize URL.
+ * @param {Object} options - { clientId, redirectUri, purpose ('login' | 'link'), userId (link only) }.
+ * @returns {Object} { url, nonce } - the caller sets the nonce cookie so only this browser can finish the flow.
+ */
+const createDiscordAuthorization = async ({ clientId, redirectUri, purpose, userId = null }) => {
+    const state = randomToken();
+    const codeVerifier = randomToken();
+    const nonce = randomToken();
+
+    await OAuthState.create({
+        state,
+        purpose,
+        user: userId,
+        codeVerifier,
+        nonceHash: sha256(nonce).toString('hex'),
+        expiresAt: new Date(Date.now() + STATE_TTL_MS)
+    });
+
+    const params = new URLSearchParams({
+        client_id: clientId,
+        redirect_uri: redirectUri,
+        response_type: 'code',
+        scope: 'identify email',
+        state,
+        code_challenge: sha256(codeVerifier).toString('base64url'),
+        code_challenge_method: 'S256'
+    });
+
+    return { url: `https://discord.com/api/oauth2/authorize?${params}`, nonce };
+};
+
+/**
+ * Consumes the state from the callback (works once, and only with the nonce cookie of the browser that started it).
+ * @param {string} state - The state query parameter.
+ * @param {string} nonce - The nonce cookie value, if any.
+ * @returns {Object|null} The OAuthState ({ purpose, user, codeVerifier }) or null if invalid.
+ */
+const consumeDiscordState = async (state, nonce) => {
+    if (!state || typeof state !== 'string') return null;
+
+    const record = await OAuthState.findOneAndUpdate(
+        { state, usedAt: null, expiresAt: { $gt: new Date() } },
+        { $set: { usedAt: new Date() } },
+        { new: true }
+    );
+    if (!record) return null;
+
+    if (record.nonceHash) {
+        const expected = Buffer.from(record.nonceHash, 'hex');
+        const actual = sha256(String(nonce || ''));
+        if (!crypto.timingSafeEqual(expected, actual)) return null;
+    }
+    return record;
+};
+
+/**
+ * Issues a one-time code for the frontend.
+ * @param {string} kind - 'login' or 'discord_link'.
+ * @param {string} userId - The user the code is for.
+ * @param {Object} discord - Discord profile to link (discord_link only).
+ * @returns {string} The code.
+ */
+const issueAuthCode = async (kind, userId, discord = null) => {
+    const code = randomToken();
+    await AuthCode.create({
+        codeHash: sha256(code).toString('hex'),
+        kind,
+        user: userId,
+        discord,
+        expiresAt: new Date(Date.now() + CODE_TTL_MS[kind])
+    });
+    return code;
+};
+
+/**
+ * Looks up an unused, unexpired code without consuming it.
+ * @returns {Object|null} The AuthCode or null.
+ */
+const findAuthCode = (code, kind) => {
+    if (!code || typeof code !== 'string') return null;
+    return AuthCode.findOne({ codeHash: sha256(code).toString('hex'), kind, usedAt: null, expiresAt: { $gt: new Date() } });
+};
+
+/**
+ * Marks a code used (atomically, so it only works once).
+ * @returns {Object|null} The AuthCode or null if it was invalid or already used.
+ */
+const consumeAuthCode = (code, kind) => {
+    if (!code || typeof code !== 'string') return null;
+    return AuthCode.findOneAndUpdate(
+        { codeHash: sha256(code).toString('hex'), kind, usedAt: null, expiresAt: { $gt: new Date() } },
+        { $set: { usedAt: new Date() } },
+        { new: true }
+    );
+};
+
+module.exports = {
+    NONCE_COOKIE,
+    STATE_TTL_MS,
+    createDiscordAuthorization,
+    consumeDiscordState,
+    issueAuthCode,
+    findAuthCode,
+    consumeAuthCode
+};
@@ -0,0 +1,131 @@
+const User = require('../models/User');
+
+// Custom link limits per tier
+const LINK_LIMITS = {
+    free: 1,
+    premium: 3
+};
+
+/**
+ * Gets the custom link limit for a user.
+ * @param {Object} user - The user document.
+ */
+const getLinkLimit = (user) => (user.isPremium ? LINK_LIMITS.premium : LINK_LIMITS.free);
+
+/**
+ * Whether a limited (non-lifetime) premium subscription has run out.
+ * @param {Object} user - The user document.
+ */
+const isPremiumExpired = (user) => {
+    return Boolean(
+        user.isPremium &&
+        !user.isLifetimePremium &&
+        user.premiumUntil &&
+        new Date(user.premiumUntil) <= new Date()
+    );
+};
+
+/**
+ * Brings a profile back within free-tier limits without deleting anything:
+ * extra links are hidden, premium-only badges and premium store items are unequipped.
+ * @param {string} userId - The user ID.
+ * @returns {Object} Summary of what was changed.
+ */
+const applyFreeTierLimits = async (userId) => {
+    const Profile = require('../models/Profile'); // Lazy load to avoid circular dependency
+    const Badge = require('../models/Badge');
+    const StoreItem = require('../models/StoreItem');
+    const { EQUIP_SLOTS } = require('./inventoryService');
+
+    const summary = { hiddenLinks: 0, removedBadges: 0, unequippedItems: [] };
+
+    const profile = await Profile.findOne({ user: userId });
+    if (!profile) return summary;
+
+    // Keep the first N visible links (by order), hide the rest
+    const visibleLinks = profile.links
+        .filter(l => l.isVisible)
+        .sort((a, b) => a.order - b.order);
+    visibleLinks.slice(LINK_LIMITS.free).forEach(link => {
+        link.isVisible = false;
+        summary.hiddenLinks++;
+    });
+
+    // Premium-only badges can't be showcased
+    if (profile.displayedBadges.length > 0) {
+        const premiumBadges = await Badge.find({ _id: { $in: profile.displayedBadges }, isPremiumOnly: true }).select('_id');
+        const premiumIds = premiumBadges.map(b => b._id.toString());
+        const kept = profile.displayedBadges.filter(id => !premiumIds.includes(id.toString()));
+        summary.removedBadges = profile.displayedBadges.length - kept.length;
+        profile.displayedBadges = kept;
+    }
+
+    // Premium store items in any slot (frames are stored by ID, the rest by URL)
+    for (const [itemType, slot] of Object.entries(EQUIP_SLOTS)) {
+        const value = profile.get(slot);
+        if (!value) continue;
+
+        const isPremiumItem = await StoreItem.exists({
+            itemType,
+            type: 'premium',
+            ...(itemType === 'frame' ? { _id: value } : { imageUrl: value })
+        });
+        if (isPremiumItem) {
+            profile.set(slot, itemType === 'frame' ? null : '');
+            summary.unequippedItems.push(itemType);
+        }
+    }
+
+    await profile.save();
+    return summary;
+};
+
+/**
+ * Ends a user's premium: clears flags and premium referral code, then trims the profile.
+ * @param {Object} user - The user document.
+ * @param {string} reason - Logged reason (e.g. 'expired', 'revoked by admin').
+ */
+const expirePremium = async (user, reason = 'expired') => {
+    user.isPremium = false;
+    user.isLifetimePremium = false;
+    // Vanity code (VYNN-USERNAME) is a premium perk; it is regenerated if premium is restored
+    user.premiumReferralCode = undefined;
+    await user.save();
+
+    const summary = await applyFreeTierLimits(user._id);
+
+    const unequipped = summary.unequippedItems.length ? `, unequipped ${summary.unequippedItems.join(', ')}` : '';
+    console.log(`⏳ Premium ${reason} for ${user.username}: hid ${summary.hiddenLinks} links, removed ${summary.removedBadges} badges${unequipped}`);
+    return summary;
+};
+
+/**
+ * Expires every limited premium subscription whose premiumUntil has passed.
+ * @returns {number} Number of users expired.
+ */
+const expireOverduePremium = async () => {
+    const users = await User.find({
+        isPremium: true,
+        isLifetimePremium: { $ne: true },
+        premiumUntil: { $ne: null, $lte: new Date() }
+    });
+
+    for (const user of users) {
+        try {
+            await expirePremium(user);
+        } catch (error) {
+            console.error(`Error expiring premium for ${user.username}:`, error);
+        }
+    }
+
+    return users.length;
+};
+
+module.exports = {
+    LINK_LIMITS,
+    getLinkLimit,
+    isPremiumExpired,
+    applyFreeTierLimits,
+    expirePremium,
+    expireOverduePremium
+};
@@ -0,0 +1,176 @@
+const Sale = require('../models/Sale');
+const Coupon = require('../models/Coupon');
+
+/**
+ * Whether a sale/coupon targets an item (no targets = applies to everything).
+ * @param {Object} rule - Sale or Coupon document.
+ * @param {Object} item - StoreItem document.
+ */
+const appliesToItem = (rule, item) => {
+    const hasTargets = rule.items?.length || rule.itemTypes?.length || rule.rarities?.length;
+    if (!hasTargets) return true;
+
+    return (rule.items || []).some(id => id.toString() === item._id.toString()) ||
+        (rule.itemTypes || []).includes(item.itemType) ||
+        (rule.rarities || []).includes(item.rarity);
+};
+
+/**
+ * Applies a percentage or fixed discount to a price (never below 0).
+ * @param {number} price - Original price.
+ * @param {Object} rule - { discountType, discountValue }.
+ */
+const applyDiscount = (price, rule) => {
+    const discounted = rule.discountType === 'percentage'
+        ? price * (1 - Math.min(rule.discountValue, 100) / 100)
+        : price - rule.discountValue;
+
+    return Math.max(Math.round(discounted), 0);
+};
+
+/**
+ * Gets all sales running right now.
+ */
+const getActiveSales = async () => {
+    const now = new Date();
+    return Sale.find({ isActive: true, startsAt: { $lte: now }, endsAt: { $gt: now } });
+};
+
+/**
+ * Resolves an item's effective price given the running sales (best discount wins).
+ * @param {Object} item - StoreItem document.
+ * @param {Array} sales - Result of getActiveSales().
+ * @returns {Object} { originalPrice, price, sale }
+ */
+const getEffectivePrice = (item, sales) => {
+    let best = null;
+    let price = item.price;
+
+    for (const sale of sales) {
+        if (!appliesToItem(sale, item)) continue;
+
+        const discounted = applyDiscount(item.price, sale);
+        if (discounted < price) {
+            price = discounted;
+            best = sale;
+        }
+    }
+
+    return {
+        originalPrice: item.price,
+        price,
+        sale: best ? {
+            id: best._id,
+            name: best.name,
+            discountType: best.discountType,
+            discountValue: best.discountValue,
+            endsAt: best.endsAt,
+            endsInMs: Math.max(new Date(best.endsAt).getTime() - Date.now(), 0)
+        } : null
+    };
+};
+
+/**
+ * Prices a bundle for a user: the (sale) bundle price scaled to the share of members they don't own yet.
+ * @param {Object} bundle - Bundle StoreItem document with bundleItems populated.
+ * @param {Array} ownedIds - IDs of the items the user owns.
+ * @param {Array} sales - Result of getActiveSales().
+ * @returns {Object} getEffectivePrice() result plus { fullPrice, memberValue, missing }
+ */
+const getBundlePricing = (bundle, ownedIds, sales) => {
+    const owned = new Set(ownedIds.map(id => id.toString()));
+    const members = bundle.bundleItems || [];
+    const missing = members.filter(member => !owned.has(member._id.toString()));
+
+    const memberValue = members.reduce((sum, member) => sum + (member.price || 0), 0);
+    const missingValue = missing.reduce((sum, member) => sum + (member.price || 0), 0);
+
+    // By list value; equal shares if the members themselves are unpriced
+    let share = 0;
+    if (memberValue > 0) share = missingValue / memberValue;
+    else if (members.length > 0) share = missing.length / members.length;
+
+    const pricing = getEffectivePrice(bundle, sales);
+    return {
+        ...pricing,
+        fullPrice: pricing.price,
+        price: Math.round(pricing.price * share),
+        memberValue,
+        missing
+    };
+};
+
+/**
+ * Splits a bundle payment across the members being granted (proportional to list price; remainder on the last).
+ * @param {number} price - Amount paid.
+ * @param {Array} members - StoreItem documents granted.
+ * @returns {Array} Price per member, same order.
+ */
+const allocateBundlePrice = (price, members) => {
+    const total = members.reduce((sum, member) => sum + (member.price || 0), 0);
+    let remaining = price;
+
+    return members.map((member, i) => {
+        if (i === members.length - 1) return remaining;
+        const part = total > 0
+            ? Math.floor(price * (member.price || 0) / total)
+            : Math.floor(price / members.length);
+        remaining -= part;
+        return part;
+    });
+};
+
+/**
+ * Looks up a coupon and checks whether a user can use it on an item (does not consume it).
+ * @returns {Object} { coupon } or { error }
+ */
+const validateCoupon = async (code, item, userId) => {
+    const coupon = await Coupon.findOne({ code: code.trim().toUpperCase(), isActive: true });
+    const now = new Date();
+
+    if (!coupon) return { error: 'Invalid coupon code' };
+    if (coupon.startsAt && coupon.startsAt > now) return { error: 'Coupon is not active yet' };
+    if (coupon.expiresAt && coupon.expiresAt <= now) return { error: 'Coupon has expired' };
+    if (coupon.maxUses !== null && coupon.usesCount >= coupon.maxUses) return { error: 'Coupon usage limit reached' };
+    if (coupon.redeemedBy.some(id => id.toString() === userId.toString())) return { error: 'You have already used this coupon' };
+    if (!appliesToItem(coupon, item)) return { error: 'Coupon does not apply to this item' };
+
+    return { coupon };
+};
+
+/**
+ * Atomically consumes one use of a coupon for a user.
+ * @returns {boolean} False if the cap was hit or the user already redeemed it in the meantime.
+ */
+const redeemCoupon = async (coupon, userId) => {
+    const filter = { _id: coupon._id, redeemedBy: { $ne: userId } };
+    if (coupon.maxUses !== null) filter.usesCount = { $lt: coupon.maxUses };
+
+    const result = await Coupon.updateOne(filter, {
+        $inc: { usesCount: 1 },
+        $push: { redeemedBy: userId }
+    });
+    return result.modifiedCount > 0;
+};
+
+/**
+ * Gives back a coupon use (e.g. when the purchase it was applied to fails).
+ */
+const releaseCoupon = async (coupon, userId) => {
+    await Coupon.updateOne({ _id: coupon._id }, {
+        $inc: { usesCount: -1 },
+        $pull: { redeemedBy: userId }
+    });
+};
+
+module.exports = {
+    appliesToItem,
+    applyDiscount,
+    getActiveSales,
+    getEffectivePrice,
+    getBundlePricing,
+    allocateBundlePrice,
+    validateCoupon,
+    redeemCoupon,
+    releaseCoupon
+};
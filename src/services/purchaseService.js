@@ -0,0 +1,258 @@
+const StoreItem = require('../models/StoreItem');
+const User = require('../models/User');
+const CreditTransaction = require('../models/CreditTransaction');
+const {
+    getAvailabilityError,
+    getPurchaseCapError,
+    claimStock,
+    releaseStock,
+    formatSerial,
+    recordAcquisition,
+    hasActiveListing,
+    getEligibilityError
+} = require('./inventoryService');
+const {
+    getActiveSales,
+    getEffectivePrice,
+    getBundlePricing,
+    allocateBundlePrice,
+    applyDiscount,
+    validateCoupon,
+    redeemCoupon,
+    releaseCoupon
+} = require('./pricingService');
+
+const respond = (status, body) => ({ status, body });
+
+/**
+ * Buys or claims a store item (or the missing members of a bundle) for a user.
+ * Shared by POST /api/store/:id/buy and the legacy POST /api/frames/:id/buy.
+ * @param {string} userId - The buyer's user ID.
+ * @param {string} itemId - The StoreItem ID.
+ * @param {Object} options - { couponCode, idempotencyKey } (the key makes retries safe).
+ * @returns {Object} { status, body } to send back.
+ */
+const purchaseItem = async (userId, itemId, { couponCode = null, idempotencyKey = null } = {}) => {
+    const item = await StoreItem.findById(itemId).populate('bundleItems');
+    if (!item) return respond(404, { error: 'Item not found' });
+    if (!item.isActive) return respond(400, { error: 'Item not active' });
+
+    const user = await User.findById(userId);
+
+    // Replay of an already-processed purchase: return the original outcome
+    if (idempotencyKey) {
+        const previous = await CreditTransaction.findOne({ user: user._id, idempotencyKey });
+        if (previous && !item._id.equals(previous.relatedItem)) {
+            return respond(409, { error: 'Idempotency key already used for another purchase' });
+        }
+        if (previous) {
+            return respond(200, {
+                message: 'Item acquired!',
+                item,
+                newBalance: user.credits,
+                replayed: true
+            });
+        }
+    }
+
+    const isBundle = item.itemType === 'bundle';
+    const sales = await getActiveSales();
+    const bundlePricing = isBundle ? getBundlePricing(item, user.inventory.items, sales) : null;
+
+    if (isBundle) {
+        if (bundlePricing.missing.length === 0) {
+            return respond(400, { error: 'You already own everything in this bundle' });
+        }
+        // Every member has to pass the same checks as buying it on its own
+        for (const member of bundlePricing.missing) {
+            if (!member.isActive) {
+                return respond(400, { error: `${member.name} is no longer available` });
+            }
+            const memberError = getEligibilityError(user, member);
+            if (memberError) {
+                return respond(403, { error: `${member.name}: ${memberError}` });
+            }
+            const memberAvailabilityError = getAvailabilityError(member);
+            if (memberAvailabilityError) {
+                return respond(400, { error: `${member.name}: ${memberAvailabilityError}` });
+            }
+            const memberCapError = await getPurchaseCapError(user._id, member);
+            if (memberCapError) {
+                return respond(403, { error: `${member.name}: ${memberCapError}` });
+            }
+            if (await hasActiveListing(user._id, member._id)) {
+                return respond(400, { error: `Cancel your marketplace listing of ${member.name} first` });
+            }
+        }
+    } else if (user.inventory.items.includes(item._id) || await hasActiveListing(user._id, item._id)) {
+        return respond(400, { error: 'You already own this item' });
+    }
+
+    // What ends up in the inventory: the item itself, or the bundle members not owned yet
+    const granted = isBundle ? bundlePricing.missing : [item];
+    const grantedIds = granted.map(g => g._id);
+    const releaseGranted = () => User.updateOne(
+        { _id: user._id },
+        { $pull: { 'inventory.items': { $in: grantedIds } } }
+    );
+
+    // Check conditions
+    const eligibilityError = getEligibilityError(user, item);
+    if (eligibilityError) {
+        return respond(403, { error: eligibilityError });
+    }
+
+    const availabilityError = getAvailabilityError(item);
+    if (availabilityError) {
+        return respond(400, { error: availabilityError });
+    }
+
+    const capError = await getPurchaseCapError(user._id, item);
+    if (capError) {
+        return respond(403, { error: capError });
+    }
+
+    const isCreditPurchase = (item.type === 'purchase' || item.price > 0) && item.currency === 'credits';
+
+    // Effective price: running sale (bundles: only the part not owned yet), then coupon on top
+    let price = isBundle ? bundlePricing.price : getEffectivePrice(item, sales).price;
+    let coupon = null;
+
+    if (isCreditPurchase && couponCode) {
+        const result = await validateCoupon(couponCode, item, user._id);
+        if (result.error) {
+            return respond(400, { error: result.error });
+        }
+        coupon = result.coupon;
+        price = applyDiscount(price, coupon);
+    }
+
+    if (isCreditPurchase && (user.credits || 0) < price) {
+        return respond(400, {
+            error: 'Insufficient credits',
+            required: price,
+            current: user.credits || 0
+        });
+    }
+
+    // Claim the inventory slots atomically so concurrent buys can't both succeed
+    const claimed = await User.updateOne(
+        { _id: user._id, 'inventory.items': { $nin: grantedIds } },
+        { $push: { 'inventory.items': { $each: grantedIds } } }
+    );
+    if (!claimed.modifiedCount) {
+        return respond(400, { error: 'You already own this item' });
+    }
+
+    // Consume the coupon (usage caps are enforced atomically)
+    if (coupon && !(await redeemCoupon(coupon, user._id))) {
+        await releaseGranted();
+        return respond(400, { error: 'Coupon usage limit reached' });
+    }
+
+    // Credit check for 'purchase' type items or items with credit price
+    if (isCreditPurchase) {
+        const description = coupon
+            ? `Purchased ${item.name} (coupon ${coupon.code})`
+            : `Purchased ${item.name}`;
+
+        try {
+            await user.spendCredits(price, item._id, description, { idempotencyKey });
+        } catch (spendError) {
+            // Release the slots (and coupon): the purchase didn't go through
+            await releaseGranted();
+            if (coupon) await releaseCoupon(coupon, user._id);
+
+            if (spendError.code === 'DUPLICATE_REQUEST') {
+                return respond(409, { error: 'Purchase already in progress' });
+            }
+            if (spendError.message === 'Insufficient credits') {
+                return respond(400, {
+                    error: 'Insufficient credits',
+                    required: price,
+                    current: user.credits || 0
+                });
+            }
+            throw spendError;
+        }
+    } else if (item.type === 'purchase' && item.currency !== 'credits') {
+        // For now, if currency isn't credits, we might need other logic (e.g. stripe in future)
+        // But for validation, if it's 'purchase' and not 'credits', maybe we just let it pass 
+        // or block it if we don't have other payment methods yet.
+        // Assuming credits is default for 'purchase' type for now.
+        // If price > 0 but currency is different, handle it.
+    }
+
+    // Take copies from limited stock last, once payment succeeded (a bundle and each granted member);
+    // if one sold out meanwhile, put back the copies already taken and undo
+    const stockItems = isBundle ? [item, ...granted] : [item];
+    const stocks = [];
+    for (const stockItem of stockItems) {
+        const claimedStock = await claimStock(stockItem);
+        if (!claimedStock) {
+            for (const [i, taken] of stocks.entries()) {
+                await releaseStock(stockItems[i], taken.serialNumber);
+            }
+            await releaseGranted();
+            if (coupon) await releaseCoupon(coupon, user._id);
+            if (isCreditPurchase) {
+                await user.addCredits(price, 'refund', `Refund: ${stockItem.name} sold out`, item._id, { type: 'refund' });
+            }
+            return respond(400, {
+                error: stockItem === item ? 'Sold out' : `${stockItem.name} is sold out`,
+                newBalance: user.credits
+            });
+        }
+        stocks.push(claimedStock);
+    }
+    const stock = stocks[0];
+
+    if (isBundle) {
+        // Each member carries its share of the price (so members can be refunded individually) and its own serial
+        const shares = allocateBundlePrice(isCreditPurchase ? price : 0, granted);
+        for (const [i, member] of granted.entries()) {
+            await recordAcquisition(user._id, member, {
+                source: isCreditPurchase ? 'purchase' : 'claim',
+                pricePaid: shares[i],
+                serialNumber: stocks[i + 1].serialNumber
+            });
+        }
+    } else {
+        await recordAcquisition(user._id, item, {
+            source: isCreditPurchase ? 'purchase' : 'claim',
+            pricePaid: isCreditPurchase ? price : 0,
+            serialNumber: stock.serialNumber
+        });
+    }
+
+    // Mark as early supporter if it was a purchase or premium item
+    if (item.type === 'purchase' || item.type === 'premium') {
+        user.isEarlySupporter = true;
+        await user.save();
+    }
+
+    // Check for automatic badges (supporter badge etc)
+    const { checkAutomaticBadges } = require('./badgeService');
+    await checkAutomaticBadges(user._id);
+
+    return respond(200, {
+        message: 'Item acquired!',
+        item,
+        pricePaid: isCreditPurchase ? price : 0,
+        grantedItems: isBundle
+            ? granted.map((g, i) => ({
+                id: g._id,
+                name: g.name,
+                itemType: g.itemType,
+                serial: formatSerial(g, stocks[i + 1].serialNumber)
+            }))
+            : undefined,
+        serialNumber: stock.serialNumber,
+        serial: formatSerial(item, stock.serialNumber),
+        newBalance: user.credits
+    });
+};
+
+module.exports = {
+    purchaseItem
+};
@@ -0,0 +1,145 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const { getClientIp, getCountryFromIp } = require('../utils/requestInfo');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const getRefreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+// Device and country of the request (no raw IP is kept)
+const getClientInfo = (req) => ({
+    userAgent: (req.headers['user-agent'] || '').slice(0, 300),
+    deviceType: req.device?.type || 'unknown',
+    country: getCountryFromIp(getClientIp(req)).code
+});
+
+/**
+ * Signs a short-lived access token bound to a session.
+ * @param {string} userId - The user ID.
+ * @param {string} sessionId - The session ID.
+ */
+const generateAccessToken = (userId, sessionId) => {
+    return jwt.sign({ userId, sid: sessionId }, process.env.JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+};
+
+// Refresh tokens are "<sessionId>.<secret>" so the session can be found without a hash scan
+const generateRefreshToken = (sessionId) => `${sessionId}.${crypto.randomBytes(32).toString('hex')}`;
+
+/**
+ * Starts a session for a user who just signed in.
+ * @param {Object} user - The user document.
+ * @param {Object} req - Express request (for device and country).
+ * @param {Object} options - { twoFactorVerified } when the login passed a 2FA step.
+ * @returns {Object} { accessToken, refreshToken, session }
+ */
+const createSession = async (user, req, { twoFactorVerified = false } = {}) => {
+    const session = new Session({
+        user: user._id,
+        twoFactorVerified,
+        refreshTokenHash: 'pending',
+        expiresAt: getRefreshExpiry(),
+        ...getClientInfo(req)
+    });
+
+    const refreshToken = generateRefreshToken(session._id);
+    session.refreshTokenHash = hashToken(refreshToken);
+    await session.save();
+
+    return {
+        accessToken: generateAccessToken(user._id, session._id),
+        refreshToken,
+        session
+    };
+};
+
+/**
+ * Exchanges a refresh token for a new access/refresh pair (the old refresh token stops working).
+ * Replaying an already rotated token revokes the whole session, since it was likely stolen.
+ * @param {string} refreshToken - The refresh token from the client.
+ * @param {Object} req - Express request.
+ * @returns {Object} { accessToken, refreshToken, session } or { error }
+ */
+const rotateSession = async (refreshToken, req) => {
+    const [sessionId] = String(refreshToken || '').split('.');
+    if (!sessionId || !mongoose.Types.ObjectId.isValid(sessionId)) {
+        return { error: 'Invalid refresh token' };
+    }
+
+    const tokenHash = hashToken(refreshToken);
+    const newToken = generateRefreshToken(sessionId);
+
+    // Atomic so two parallel refreshes can't both succeed with the same token
+    const session = await Session.findOneAndUpdate(
+        { _id: sessionId, refreshTokenHash: tokenHash, revokedAt: null, expiresAt: { $gt: new Date() } },
+        {
+            $set: {
+                refreshTokenHash: hashToken(newToken),
+                previousTokenHash: tokenHash,
+                lastUsedAt: new Date(),
+                expiresAt: getRefreshExpiry(),
+                ...getClientInfo(req)
+            }
+        },
+        { new: true }
+    );
+
+    if (!session) {
+        const reused = await Session.findOneAndUpdate(
+            { _id: sessionId, previousTokenHash: tokenHash, revokedAt: null },
+            { $set: { revokedAt: new Date(), revokedReason: 'token_reuse' } }
+        );
+        if (reused) {
+            console.warn(`Refresh token reuse detected, session ${sessionId} revoked`);
+        }
+        return { error: 'Invalid refresh token' };
+    }
+
+    // Bans revoke sessions, but don't hand out tokens if one slipped through
+    if (await User.exists({ _id: session.user, isBanned: true })) {
+        await revokeSession(session.user, session._id, 'banned');
+        return { error: 'This account has been banned' };
+    }
+
+    return {
+        accessToken: generateAccessToken(session.user, session._id),
+        refreshToken: newToken,
+        session
+    };
+};
+
+/**
+ * Revokes one of a user's sessions.
+ * @returns {boolean} Whether an active session was revoked.
+ */
+const revokeSession = async (userId, sessionId, reason = 'revoked') => {
+    const result = await Session.updateOne(
+        { _id: sessionId, user: userId, revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+    return result.modifiedCount > 0;
+};
+
+/**
+ * Revokes all of a user's sessions, optionally keeping one (the caller's).
+ * @returns {number} Sessions revoked.
+ */
+const revokeAllSessions = async (userId, exceptSessionId = null, reason = 'revoked_all') => {
+    const query = { user: userId, revokedAt: null };
+    if (exceptSessionId) query._id = { $ne: exceptSessionId };
+
+    const result = await Session.updateMany(query, { $set: { revokedAt: new Date(), revokedReason: reason } });
+    return result.modifiedCount;
+};
+
+module.exports = {
+    createSession,
+    rotateSession,
+    revokeSession,
+    revokeAllSessions
+};
@@ -0,0 +1,198 @@
+const mongoose = require('mongoose');
+const Trade = require('../models/Trade');
+const StoreItem = require('../models/StoreItem');
+const User = require('../models/User');
+const UserItem = require('../models/UserItem');
+const { swapInventory, unequipItem, isTradable, hasActiveListing } = require('./inventoryService');
+const { getGiftRestriction, getGiftAllowanceError } = require('./giftService');
+
+/**
+ * Marks pending offers past their expiry as expired (offers hold nothing in escrow, so this has no other effect).
+ * @returns {number} Number of offers expired.
+ */
+const expireStaleTrades = async () => {
+    const result = await Trade.updateMany(
+        { status: 'pending', expiresAt: { $lte: new Date() } },
+        { $set: { status: 'expired' } }
+    );
+    return result.modifiedCount;
+};
+
+const ownsItem = (user, itemId) => user.inventory.items.some(id => id.toString() === itemId.toString());
+
+/**
+ * Validates an offer between two users. Runs when the offer is made and again right before it is accepted.
+ * Credits in a trade are a gift from the paying side, so the gifting rules and daily limits apply to them.
+ * @param {Object} from - User document of the side making the offer.
+ * @param {Object} to - User document of the other side.
+ * @param {Object} offer - { offerItems, requestItems, offerCredits, requestCredits } (item IDs / integers).
+ * @param {Object} limits - SystemConfig.trading.
+ * @param {Object} giftLimits - SystemConfig.gifting.
+ * @returns {Object} { error } or { offerItems, requestItems, offerCredits, requestCredits } with StoreItem documents.
+ */
+const validateOffer = async (from, to, offer, limits, giftLimits) => {
+    if (!Array.isArray(offer.offerItems || []) || !Array.isArray(offer.requestItems || [])) {
+        return { error: 'offerItems and requestItems must be arrays of item IDs' };
+    }
+
+    const offerIds = [...new Set((offer.offerItems || []).map(String))];
+    const requestIds = [...new Set((offer.requestItems || []).map(String))];
+    const offerCredits = Number(offer.offerCredits || 0);
+    const requestCredits = Number(offer.requestCredits || 0);
+
+    if ([...offerIds, ...requestIds].some(id => !mongoose.Types.ObjectId.isValid(id))) {
+        return { error: 'Invalid item ID' };
+    }
+    if (offerIds.length > limits.maxItemsPerSide || requestIds.length > limits.maxItemsPerSide) {
+        return { error: `At most ${limits.maxItemsPerSide} items per side` };
+    }
+    if (![offerCredits, requestCredits].every(n => Number.isInteger(n) && n >= 0)) {
+        return { error: 'Credits must be non-negative whole numbers' };
+    }
+    if (offerIds.length + requestIds.length === 0) {
+        return { error: 'A trade must include at least one item' };
+    }
+    if (offerIds.some(id => requestIds.includes(id))) {
+        return { error: 'The same item cannot be on both sides' };
+    }
+
+    const items = await StoreItem.find({ _id: { $in: [...offerIds, ...requestIds] } });
+    if (items.length !== offerIds.length + requestIds.length) {
+        return { error: 'Item not found' };
+    }
+
+    const untradable = items.find(item => !isTradable(item));
+    if (untradable) {
+        return { error: `${untradable.name} cannot be traded` };
+    }
+
+    const offerItems = items.filter(i => offerIds.includes(i._id.toString()));
+    const requestItems = items.filter(i => requestIds.includes(i._id.toString()));
+
+    const missing = offerItems.find(i => !ownsItem(from, i._id)) || requestItems.find(i => !ownsItem(to, i._id));
+    if (missing) {
+        return { error: `${missing.name} is not in the owner's inventory` };
+    }
+
+    for (const [user, incoming] of [[from, requestItems], [to, offerItems]]) {
+        for (const item of incoming) {
+            if (ownsItem(user, item._id) || await hasActiveListing(user._id, item._id)) {
+                return { error: `${user.username} already owns ${item.name}` };
+            }
+        }
+    }
+
+    if ((from.credits || 0) < offerCredits) {
+        return { error: 'Insufficient credits' };
+    }
+
+    for (const [payer, payee, amount] of [[from, to, offerCredits], [to, from, requestCredits]]) {
+        if (amount === 0) continue;
+
+        const restriction = getGiftRestriction(payer, payee, giftLimits);
+        if (restriction) {
+            return { error: `Credits can't be included: ${restriction}` };
+        }
+        const overLimit = await getGiftAllowanceError(payer._id, amount, giftLimits);
+        if (overLimit) {
+            return { error: `${payer.username}: ${overLimit.error}` };
+        }
+    }
+
+    return { offerItems, requestItems, offerCredits, requestCredits };
+};
+
+/**
+ * Executes an accepted trade: swaps inventory entries, moves credits, then moves per-copy records and unequips.
+ * Every step is undone if a later one fails, so either everything changes hands or nothing does.
+ * @param {Object} trade - Trade document (already claimed as 'accepted').
+ * @returns {Object} { error } or {}.
+ */
+const executeTrade = async (trade) => {
+    const { initiator, recipient, initiatorItems, recipientItems, initiatorCredits, recipientCredits } = trade;
+    const transferId = new mongoose.Types.ObjectId();
+
+    // 1. Inventories, one atomic update per user
+    if (!(await swapInventory(initiator, initiatorItems, recipientItems))) {
+        return { error: 'The offered items are no longer available' };
+    }
+    if (!(await swapInventory(recipient, recipientItems, initiatorItems))) {
+        await swapInventory(initiator, recipientItems, initiatorItems);
+        return { error: 'The requested items are no longer available' };
+    }
+
+    const undoItems = async () => {
+        await swapInventory(recipient, initiatorItems, recipientItems);
+        await swapInventory(initiator, recipientItems, initiatorItems);
+    };
+
+    // 2. Credits (transferCredits reverses its own debit if the credit side fails)
+    const details = { source: 'trade', transferId };
+    let initiatorPaid = false;
+    try {
+        if (initiatorCredits > 0) {
+            await User.transferCredits(initiator, recipient, initiatorCredits, {
+                ...details,
+                senderDescription: 'Credits sent in a trade',
+                receiverDescription: 'Credits received in a trade'
+            });
+            initiatorPaid = true;
+        }
+        if (recipientCredits > 0) {
+            await User.transferCredits(recipient, initiator, recipientCredits, {
+                ...details,
+                senderDescription: 'Credits sent in a trade',
+                receiverDescription: 'Credits received in a trade'
+            });
+        }
+    } catch (error) {
+        if (initiatorPaid) {
+            // Recorded as a refund so the reversal doesn't count against the gift limits
+            await User.transferCredits(recipient, initiator, initiatorCredits, {
+                ...details,
+                source: 'refund',
+                senderDescription: 'Trade reversed',
+                receiverDescription: 'Trade reversed'
+            });
+        }
+        await undoItems();
+        if (error.message === 'Insufficient credits') {
+            return { error: 'Insufficient credits to complete the trade' };
+        }
+        throw error;
+    }
+
+    // 3. Per-copy records (serials travel with the copy) and profile slots
+    const moveCopies = async (fromId, toId, itemIds) => {
+        const items = await StoreItem.find({ _id: { $in: itemIds } });
+        for (const item of items) {
+            const record = await UserItem.findOneAndDelete({ user: fromId, item: item._id });
+            await UserItem.updateOne(
+                { user: toId, item: item._id },
+                {
+                    $set: {
+                        source: 'trade',
+                        pricePaid: 0,
+                        serialNumber: record?.serialNumber || null,
+                        acquiredAt: new Date(),
+                        equippedAt: null
+                    }
+                },
+                { upsert: true }
+            );
+            await unequipItem(fromId, item);
+        }
+    };
+
+    await moveCopies(initiator, recipient, initiatorItems);
+    await moveCopies(recipient, initiator, recipientItems);
+
+    trade.transferId = transferId;
+    return {};
+};
+
+module.exports = {
+    expireStaleTrades,
+    validateOffer,
+    executeTrade
+};
@@ -0,0 +1,233 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+
+const ISSUER = process.env.TWO_FACTOR_ISSUER || 'Vynn';
+const STEP_SECONDS = 30;
+const CODE_DIGITS = 6;
+const DRIFT_STEPS = 1; // Accept the previous and next code too (clock drift)
+const BACKUP_CODE_COUNT = 10;
+const CHALLENGE_TTL = '5m';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+    let bits = '';
+    for (const byte of buffer) bits += byte.toString(2).padStart(8, '0');
+
+    let output = '';
+    for (let i = 0; i < bits.length; i += 5) {
+        output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+    }
+    return output;
+};
+
+const base32Decode = (input) => {
+    let bits = '';
+    for (const char of input.replace(/=+$/, '').toUpperCase()) {
+        const value = BASE32_ALPHABET.indexOf(char);
+        if (value === -1) throw new Error('Invalid base32 character');
+        bits += value.toString(2).padStart(5, '0');
+    }
+
+    const bytes = [];
+    for (let i = 0; i + 8 <= bits.length; i += 8) {
+        bytes.push(parseInt(bits.slice(i, i + 8), 2));
+    }
+    return Buffer.from(bytes);
+};
+
+// Secrets are stored encrypted (AES-256-GCM) so a database dump alone can't generate codes
+const getKey = () => crypto.createHash('sha256')
+    .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET)
+    .digest();
+
+const encryptSecret = (secret) => {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', getKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+    return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('hex')).join(':');
+};
+
+const decryptSecret = (stored) => {
+    const [iv, tag, encrypted] = stored.split(':').map(part => Buffer.from(part, 'hex'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', getKey(), iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+const hashBackupCode = (code) => crypto.createHmac('sha256', getKey())
+    .update(code.replace(/[\s-]/g, '').toLowerCase())
+    .digest('hex');
+
+/**
+ * RFC 6238 code for a base32 secret at a time step.
+ */
+const generateCode = (secret, step) => {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0xf;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+    return (binary % 10 ** CODE_DIGITS).toString().padStart(CODE_DIGITS, '0');
+};
+
+const currentStep = () => Math.floor(Date.now() / 1000 / STEP_SECONDS);
+
+/**
+ * Finds the time step a code belongs to (within the drift window).
+ * @returns {number|null} The matching step or null.
+ */
+const matchCode = (secret, code) => {
+    const normalized = String(code || '').replace(/\s/g, '');
+    if (!/^\d{6}$/.test(normalized)) return null;
+
+    const now = currentStep();
+    for (let step = now - DRIFT_STEPS; step <= now + DRIFT_STEPS; step++) {
+        const expected = generateCode(secret, step);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) return step;
+    }
+    return null;
+};
+
+/**
+ * Starts enrollment: stores a new pending secret and returns it with its otpauth:// URI (for the QR code).
+ * @param {Object} user - The user document.
+ * @returns {Object} { secret, otpauthUrl }
+ */
+const startEnrollment = async (user) => {
+    const secret = base32Encode(crypto.randomBytes(20));
+    await User.updateOne({ _id: user._id }, { $set: { 'twoFactor.pendingSecret': encryptSecret(secret) } });
+
+    const label = encodeURIComponent(`${ISSUER}:${user.email}`);
+    const otpauthUrl = `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(ISSUER)}&algorithm=SHA1&digits=${CODE_DIGITS}&period=${STEP_SECONDS}`;
+    return { secret, otpauthUrl };
+};
+
+/**
+ * Creates a fresh set of backup codes.
+ * @returns {Object} { codes (shown once), hashes (stored) }
+ */
+const generateBackupCodes = () => {
+    const codes = Array.from({ length: BACKUP_CODE_COUNT }, () => {
+        const raw = crypto.randomBytes(5).toString('hex');
+        return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+    return { codes, hashes: codes.map(hashBackupCode) };
+};
+
+/**
+ * Finishes enrollment when the code matches the pending secret.
+ * @param {string} userId - The user ID.
+ * @param {string} code - Code from the authenticator app.
+ * @returns {Array|null} Backup codes (shown once) or null if the code is wrong or no enrollment is pending.
+ */
+const confirmEnrollment = async (userId, code) => {
+    const user = await User.findById(userId).select('+twoFactor.pendingSecret');
+    if (!user?.twoFactor?.pendingSecret) return null;
+
+    const secret = decryptSecret(user.twoFactor.pendingSecret);
+    const step = matchCode(secret, code);
+    if (step === null) return null;
+
+    const { codes, hashes } = generateBackupCodes();
+    await User.updateOne({ _id: userId }, {
+        $set: {
+            'twoFactor.enabled': true,
+            'twoFactor.secret': user.twoFactor.pendingSecret,
+            'twoFactor.backupCodes': hashes,
+            'twoFactor.lastUsedStep': step,
+            'twoFactor.enabledAt': new Date()
+        },
+        $unset: { 'twoFactor.pendingSecret': '' }
+    });
+    return codes;
+};
+
+/**
+ * Checks a TOTP or backup code for a user with 2FA enabled. Each TOTP code and backup code works once.
+ * @param {string} userId - The user ID.
+ * @param {string} code - A 6-digit code or a backup code.
+ * @returns {string|null} 'totp', 'backup_code' or null if invalid.
+ */
+const verifyCode = async (userId, code) => {
+    const user = await User.findById(userId).select('+twoFactor.secret');
+    if (!user?.twoFactor?.enabled || !user.twoFactor.secret) return null;
+
+    const step = matchCode(decryptSecret(user.twoFactor.secret), code);
+    if (step !== null) {
+        // Claim the step so the same code can't be replayed
+        const claimed = await User.updateOne(
+            { _id: userId, $or: [{ 'twoFactor.lastUsedStep': { $lt: step } }, { 'twoFactor.lastUsedStep': null }] },
+            { $set: { 'twoFactor.lastUsedStep': step } }
+        );
+        return claimed.modifiedCount ? 'totp' : null;
+    }
+
+    const used = await User.updateOne(
+        { _id: userId, 'twoFactor.backupCodes': hashBackupCode(String(code || '')) },
+        { $pull: { 'twoFactor.backupCodes': hashBackupCode(String(code || '')) } }
+    );
+    return used.modifiedCount ? 'backup_code' : null;
+};
+
+/**
+ * Replaces a user's backup codes.
+ * @returns {Array} The new codes (shown once).
+ */
+const regenerateBackupCodes = async (userId) => {
+    const { codes, hashes } = generateBackupCodes();
+    await User.updateOne({ _id: userId }, { $set: { 'twoFactor.backupCodes': hashes } });
+    return codes;
+};
+
+/**
+ * Turns 2FA off and forgets the secret and backup codes.
+ */
+const disableTwoFactor = async (userId) => {
+    await User.updateOne({ _id: userId }, {
+        $set: { 'twoFactor.enabled': false, 'twoFactor.backupCodes': [] },
+        $unset: { 'twoFactor.secret': '', 'twoFactor.pendingSecret': '', 'twoFactor.lastUsedStep': '', 'twoFactor.enabledAt': '' }
+    });
+};
+
+/**
+ * Short-lived token proving the password step of a login passed.
+ */
+const issueChallenge = (userId) => {
+    return jwt.sign({ userId, purpose: '2fa_challenge' }, process.env.JWT_SECRET, { expiresIn: CHALLENGE_TTL });
+};
+
+/**
+ * @returns {string|null} The user ID from a valid challenge token.
+ */
+const verifyChallenge = (challengeToken) => {
+    try {
+        const decoded = jwt.verify(String(challengeToken || ''), process.env.JWT_SECRET);
+        return decoded.purpose === '2fa_challenge' ? decoded.userId : null;
+    } catch (error) {
+        return null;
+    }
+};
+
+/**
+ * Whether the platform requires this user to have 2FA (admins and above, when enabled by a super admin).
+ * @param {Object} user - The user document.
+ * @param {Object} config - The SystemConfig document.
+ */
+const isTwoFactorRequired = (user, config) => {
+    return Boolean(config?.security?.requireAdminTwoFactor) && ['admin', 'super_admin'].includes(user.role);
+};
+
+module.exports = {
+    generateCode,
+    startEnrollment,
+    confirmEnrollment,
+    verifyCode,
+    regenerateBackupCodes,
+    disableTwoFactor,
+    issueChallenge,
+    verifyChallenge,
+    isTwoFactorRequired
+};
@@ -0,0 +1,114 @@
+const WishlistItem = require('../models/WishlistItem');
+const StoreItem = require('../models/StoreItem');
+const { notify } = require('./notificationService');
+const { getRemainingStock } = require('./inventoryService');
+const { appliesToItem, getActiveSales, getEffectivePrice } = require('./pricingService');
+
+const itemSummary = (item) => ({ id: item._id, name: item.name, imageUrl: item.imageUrl, itemType: item.itemType });
+
+/**
+ * Notifies wishlisters of items in a running sale (once per sale and wishlist entry).
+ * Sales that start later are picked up by the wishlist alerts job.
+ * @param {Array} sales - Sale documents (defaults to the sales running now).
+ * @returns {number} Notifications sent.
+ */
+const notifySales = async (sales = null) => {
+    const now = new Date();
+    const running = (sales || await getActiveSales())
+        .filter(sale => sale.isActive && sale.startsAt <= now && sale.endsAt > now);
+    if (running.length === 0) return 0;
+
+    let sent = 0;
+    for (const sale of running) {
+        // Only look at wishlist entries for items the sale targets
+        const itemQuery = { isActive: true };
+        if (sale.items?.length || sale.itemTypes?.length || sale.rarities?.length) {
+            itemQuery.$or = [
+                { _id: { $in: sale.items || [] } },
+                { itemType: { $in: sale.itemTypes || [] } },
+                { rarity: { $in: sale.rarities || [] } }
+            ];
+        }
+        const itemIds = await StoreItem.distinct('_id', itemQuery);
+
+        const entries = await WishlistItem.find({ item: { $in: itemIds }, notifiedSales: { $ne: sale._id } }).populate('item');
+
+        for (const entry of entries) {
+            if (!entry.item || !entry.item.isActive || !appliesToItem(sale, entry.item)) continue;
+
+            // Claim the alert first so parallel runs can't send it twice
+            const claimed = await WishlistItem.updateOne(
+                { _id: entry._id, notifiedSales: { $ne: sale._id } },
+                { $push: { notifiedSales: sale._id } }
+            );
+            if (!claimed.modifiedCount) continue;
+
+            const { price } = getEffectivePrice(entry.item, [sale]);
+            await notify(entry.user, 'wishlist_sale', {
+                title: `${entry.item.name} is on sale`,
+                message: `${sale.name}: ${price} credits (was ${entry.item.price})`,
+                data: { item: itemSummary(entry.item), saleId: sale._id, price, originalPrice: entry.item.price, endsAt: sale.endsAt }
+            });
+            sent++;
+        }
+    }
+    return sent;
+};
+
+/**
+ * Notifies wishlisters that a sold-out item is available again.
+ * @param {Object} item - The StoreItem document.
+ * @returns {number} Notifications sent.
+ */
+const notifyRestock = async (item) => {
+    const entries = await WishlistItem.find({ item: item._id }).select('user');
+
+    for (const entry of entries) {
+        await notify(entry.user, 'wishlist_restock', {
+            title: `${item.name} is back in stock`,
+            data: { item: itemSummary(item), remainingStock: getRemainingStock(item) }
+        });
+    }
+    return entries.length;
+};
+
+/**
+ * Notifies a user about wishlisted items their balance now covers (once per wishlist entry).
+ * Never throws: it runs after credit changes that must not fail because of it.
+ * @param {string} userId - The user ID.
+ * @param {number} balance - The user's new credit balance.
+ */
+const checkAffordable = async (userId, balance) => {
+    try {
+        const entries = await WishlistItem.find({ user: userId, affordableNotifiedAt: null }).populate('item');
+        if (entries.length === 0) return;
+
+        const sales = await getActiveSales();
+        for (const entry of entries) {
+            if (!entry.item || !entry.item.isActive) continue;
+
+            const { price } = getEffectivePrice(entry.item, sales);
+            if (price <= 0 || balance < price) continue;
+
+            const claimed = await WishlistItem.updateOne(
+                { _id: entry._id, affordableNotifiedAt: null },
+                { $set: { affordableNotifiedAt: new Date() } }
+            );
+            if (!claimed.modifiedCount) continue;
+
+            await notify(userId, 'wishlist_affordable', {
+                title: `You can now afford ${entry.item.name}`,
+                message: `${price} credits — you have ${balance}`,
+                data: { item: itemSummary(entry.item), price, balance }
+            });
+        }
+    } catch (error) {
+        console.error('Error checking wishlist affordability:', error);
+    }
+};
+
+module.exports = {
+    notifySales,
+    notifyRestock,
+    checkAffordable
+};
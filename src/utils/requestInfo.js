@@ -0,0 +1,56 @@
+const geoip = require('geoip-lite');
+
+/**
+ * Client IP from the first X-Forwarded-For hop (or the socket), without the IPv4-mapped IPv6 prefix.
+ * @param {Object} req - Express request.
+ */
+const getClientIp = (req) => {
+    let ip = req.headers['x-forwarded-for'] || req.socket?.remoteAddress || '';
+    if (ip.includes(',')) {
+        ip = ip.split(',')[0].trim();
+    }
+    // Clean IPv6 prefix if present
+    if (ip.startsWith('::ffff:')) {
+        ip = ip.substring(7);
+    }
+    return ip;
+};
+
+/**
+ * Country lookup for an IP. We only keep the country, never the raw IP.
+ * @param {string} ip - IP address.
+ * @returns {Object} { country, code }
+ */
+const getCountryFromIp = (ip) => {
+    // Handle localhost/ipv6 loopback
+    if (ip === '::1' || ip === '127.0.0.1') return { country: 'Local', code: 'LO' };
+
+    const geo = geoip.lookup(ip);
+    return geo ? { country: geo.country, code: geo.country } : { country: 'Unknown', code: 'UN' };
+};
+
+/**
+ * Reads a cookie from the raw Cookie header.
+ * @param {Object} req - Express request.
+ * @param {string} name - Cookie name.
+ * @returns {string|null} The decoded value or null.
+ */
+const getCookie = (req, name) => {
+    for (const part of (req.headers.cookie || '').split(';')) {
+        const [key, ...value] = part.trim().split('=');
+        if (key === name) {
+            try {
+                return decodeURIComponent(value.join('='));
+            } catch (error) {
+                return null;
+            }
+        }
+    }
+    return null;
+};
+
+module.exports = {
+    getClientIp,
+    getCountryFromIp,
+    getCookie
+};